@@ -32,6 +32,7 @@ const {
   executeCommand, 
   proveCommand, 
   verifyCommand, 
+  romSetupCommand,
   cleanCommand,
   watchCommand,
   devCommand,
@@ -46,8 +47,16 @@ const {
   setupCommand,
   resetCommand,
   analyticsCommand,
-  statsCommand
+  statsCommand,
+  inputConvertCommand,
+  inputDecodeCommand,
+  inputGenerateCommand,
+  inputCasesCommand,
+  inputInspectCommand,
+  inputValidateCommand,
+  inputDiffCommand
 } = require('../src/commands');
+const { jsonAction } = require('../src/output');
 // Simple platform check
 const os = require('os');
 const platform = os.platform();
@@ -69,7 +78,8 @@ program
   .version(version, '-v, --version')
   .option('-d, --debug', 'Enable debug mode')
   .option('--verbose', 'Enable verbose output')
-  .option('--config <path>', 'Path to configuration file');
+  .option('--config <path>', 'Path to configuration file')
+  .option('--json', 'Print a single JSON document instead of human-readable output');
 
 // Core commands
 program
@@ -92,39 +102,79 @@ program
   .option('--features <features>', 'Cargo features to enable')
   .option('--target <target>', 'Target architecture')
   .option('--release', 'Build in release mode')
-  .action(buildCommand);
+  .option('--force-build', 'Build even if sources and settings are unchanged')
+  .action(jsonAction(buildCommand));
 
 program
   .command('run')
   .description('Run complete ZISK pipeline')
   .option('-i, --input <path>', 'Input file path')
   .option('--inputs <glob>', 'Input file glob pattern')
+  .option('--case <names...>', 'Manifest cases to run (zisk-inputs.yaml)')
+  .option('--tag <tags...>', 'Run manifest cases with any of these tags')
+  .option('--manifest <path>', 'Input manifest file (default: zisk-inputs.yaml)')
+  .option('--schema <path>', 'Input schema describing the byte layout read by the program')
+  .option('--input-format <format>', 'Converted input layout (raw, framed)')
+  .option('--no-cache', 'Always re-convert inputs instead of using the conversion cache')
+  .option('--converter <module>', 'Converter module for .custom inputs')
+  .option('--delimiter <char>', 'CSV field delimiter (default: ",", use "tab" for TSV)')
+  .option('--headerless', 'CSV files have no header row')
+  .option('--columns <spec>', 'CSV column types, e.g. "id:uint64,flag:bool,data:hex"')
   .option('--parallel', 'Run inputs in parallel')
   .option('--skip-prove', 'Skip proof generation')
   .option('--skip-verify', 'Skip proof verification')
   .option('--skip-setup', 'Skip ROM setup')
+  .option('--force-build', 'Build even if sources and settings are unchanged')
   .option('--max-steps <number>', 'Maximum execution steps', validateNumericOption)
   .option('--metrics', 'Show execution metrics')
   .option('--stats', 'Show execution statistics')
-  .action(runCommand);
+  .option('--output-schema <path>', 'Schema for decoding public outputs (default: output-schema.yaml)')
+  .option('--reporter <format>', 'Write a test report (junit, tap, json)')
+  .option('--report-file <path>', 'Report file (default: reports/run.<ext>)')
+  .option('--resume <id>', 'Resume an interrupted run, skipping steps it already completed')
+  .action(jsonAction(runCommand));
 
 program
   .command('execute')
   .description('Execute ZISK program with input (no proving)')
   .option('-i, --input <path>', 'Input file path')
   .option('--inputs <glob>', 'Input file glob pattern')
+  .option('--case <names...>', 'Manifest cases to run (zisk-inputs.yaml)')
+  .option('--tag <tags...>', 'Run manifest cases with any of these tags')
+  .option('--manifest <path>', 'Input manifest file (default: zisk-inputs.yaml)')
+  .option('--schema <path>', 'Input schema describing the byte layout read by the program')
+  .option('--input-format <format>', 'Converted input layout (raw, framed)')
+  .option('--no-cache', 'Always re-convert inputs instead of using the conversion cache')
+  .option('--converter <module>', 'Converter module for .custom inputs')
+  .option('--delimiter <char>', 'CSV field delimiter (default: ",", use "tab" for TSV)')
+  .option('--headerless', 'CSV files have no header row')
+  .option('--columns <spec>', 'CSV column types, e.g. "id:uint64,flag:bool,data:hex"')
   .option('--parallel', 'Run inputs in parallel')
   .option('--metrics', 'Show execution metrics')
   .option('--stats', 'Show execution statistics')
   .option('--max-steps <number>', 'Maximum execution steps', validateNumericOption)
   .option('--profile <profile>', 'Build profile (debug, release)', 'release')
-  .action(executeCommand);
+  .option('--expect', 'Fail if public outputs differ from the golden outputs')
+  .option('--update-golden', 'Record public outputs as the new golden outputs')
+  .option('--golden-dir <path>', 'Golden output directory (default: tests/golden)')
+  .option('--output-schema <path>', 'Schema for decoding public outputs (default: output-schema.yaml)')
+  .action(jsonAction(executeCommand));
 
 program
   .command('prove')
   .description('Generate zero-knowledge proof')
   .option('-i, --input <path>', 'Input file path')
   .option('--inputs <glob>', 'Input file glob pattern')
+  .option('--case <names...>', 'Manifest cases to run (zisk-inputs.yaml)')
+  .option('--tag <tags...>', 'Run manifest cases with any of these tags')
+  .option('--manifest <path>', 'Input manifest file (default: zisk-inputs.yaml)')
+  .option('--schema <path>', 'Input schema describing the byte layout read by the program')
+  .option('--input-format <format>', 'Converted input layout (raw, framed)')
+  .option('--no-cache', 'Always re-convert inputs instead of using the conversion cache')
+  .option('--converter <module>', 'Converter module for .custom inputs')
+  .option('--delimiter <char>', 'CSV field delimiter (default: ",", use "tab" for TSV)')
+  .option('--headerless', 'CSV files have no header row')
+  .option('--columns <spec>', 'CSV column types, e.g. "id:uint64,flag:bool,data:hex"')
   .option('--parallel', 'Run inputs in parallel')
   .option('--verify', 'Verify proof after generation')
   .option('--output <path>', 'Output directory for proofs')
@@ -132,7 +182,7 @@ program
   .option('--profile <profile>', 'Build profile (debug, release)', 'release')
   .option('--proving-key <path>', 'Path to proving key')
   .option('--witness <path>', 'Path to witness library')
-  .action(proveCommand);
+  .action(jsonAction(proveCommand));
 
 program
   .command('verify')
@@ -143,10 +193,88 @@ program
   .option('--starkinfo <path>', 'Path to STARK info file')
   .option('--verifier <path>', 'Path to verifier binary')
   .option('--verkey <path>', 'Path to verification key')
-  .action(verifyCommand);
+  .option('--reporter <format>', 'Write a test report (junit, tap, json)')
+  .option('--report-file <path>', 'Report file (default: reports/verify.<ext>)')
+  .action(jsonAction(verifyCommand));
+
+program
+  .command('rom-setup')
+  .description('Run ROM setup for the built ELF, even if it is up to date')
+  .option('--elf <path>', 'ELF file (default: the build output for the profile)')
+  .option('--profile <profile>', 'Build profile (release, debug)')
+  .option('--proving-key <path>', 'Path to proving key')
+  .action(jsonAction(romSetupCommand));
 
 // Clean command will be defined later with enhanced options
 
+// Input commands
+const input = program
+  .command('input')
+  .description('Create, inspect and compare input files');
+
+input
+  .command('convert <file>')
+  .description('Convert an input file to binary format')
+  .option('-o, --output <path>', 'Output file path')
+  .option('--schema <path>', 'Input schema describing the byte layout read by the program')
+  .option('--input-format <format>', 'Converted input layout (raw, framed)')
+  .option('--format <format>', 'Serialization format (default, compact, typed, schema, bincode)')
+  .option('--no-cache', 'Always re-convert instead of using the conversion cache')
+  .option('--converter <module>', 'Converter module for .custom inputs')
+  .option('--delimiter <char>', 'CSV field delimiter (default: ",", use "tab" for TSV)')
+  .option('--headerless', 'CSV files have no header row')
+  .option('--columns <spec>', 'CSV column types, e.g. "id:uint64,flag:bool,data:hex"')
+  .action(jsonAction(inputConvertCommand));
+
+input
+  .command('decode <file>')
+  .description('Decode a binary input file back to JSON, YAML or text')
+  .option('-o, --output <path>', 'Output file path (.json, .yaml, .txt); prints to stdout if omitted')
+  .option('--to <format>', 'Output format when printing to stdout (json, yaml, txt)', 'json')
+  .option('--schema <path>', 'Input schema describing the byte layout read by the program')
+  .option('--format <format>', 'Serialization format (default, typed, schema, bincode, raw)')
+  .option('--converter <module>', 'Converter module for .custom output')
+  .action(jsonAction(inputDecodeCommand));
+
+input
+  .command('generate <script>')
+  .description('Run a generator script and write its inputs to an input set (inputs/<name>/)')
+  .option('--name <name>', 'Input set name (default: script file name)')
+  .option('--param <key=value...>', 'Parameters passed to the generator')
+  .option('--schema <path>', 'Input schema describing the byte layout read by the program')
+  .option('--input-format <format>', 'Converted input layout (raw, framed)')
+  .option('--format <format>', 'Serialization format (default, compact, typed, schema, bincode)')
+  .action(jsonAction(inputGenerateCommand));
+
+input
+  .command('cases')
+  .description('List the named cases in the input manifest')
+  .option('--tag <tags...>', 'Only list cases with any of these tags')
+  .option('--manifest <path>', 'Input manifest file (default: zisk-inputs.yaml)')
+  .action(jsonAction(inputCasesCommand));
+
+input
+  .command('inspect <file>')
+  .description('Show hexdump, ZISK header and detected format of an input file')
+  .option('--length <bytes>', 'Number of bytes to dump', '256')
+  .option('--all', 'Dump the whole file')
+  .action(jsonAction(inputInspectCommand));
+
+input
+  .command('validate <files...>')
+  .description('Validate input files with their format converter')
+  .option('--delimiter <char>', 'CSV field delimiter (default: ",", use "tab" for TSV)')
+  .option('--headerless', 'CSV files have no header row')
+  .option('--columns <spec>', 'CSV column types, e.g. "id:uint64,flag:bool,data:hex"')
+  .action(jsonAction(inputValidateCommand));
+
+input
+  .command('diff <a> <b>')
+  .description('Compare two binary input files byte by byte')
+  .option('--payload', 'Compare data only, ignoring ZISK headers')
+  .option('--rows <number>', 'Maximum differing rows to show', '16')
+  .action(jsonAction(inputDiffCommand));
+
 // Development commands
 program
   .command('watch')
@@ -169,8 +297,18 @@ program
   .option('--unit', 'Run unit tests only')
   .option('--integration', 'Run integration tests only')
   .option('--e2e', 'Run end-to-end tests only')
-  .option('--coverage', 'Generate coverage report')
-  .action(testCommand);
+  .option('--coverage', 'Generate an lcov coverage report with cargo llvm-cov (unit tests)')
+  .option('-i, --input <path>', 'Input file to test')
+  .option('--inputs <glob>', 'Input file glob pattern')
+  .option('--case <names...>', 'Manifest cases to test (zisk-inputs.yaml)')
+  .option('--tag <tags...>', 'Test manifest cases with any of these tags')
+  .option('--manifest <path>', 'Input manifest file (default: zisk-inputs.yaml)')
+  .option('--update-golden', 'Record public outputs as the new golden outputs')
+  .option('--golden-dir <path>', 'Golden output directory (default: tests/golden)')
+  .option('--skip-setup', 'Skip ROM setup in end-to-end tests')
+  .option('--reporter <format>', 'Write a test report (junit, tap, json)')
+  .option('--report-file <path>', 'Report file (default: reports/test.<ext>)')
+  .action(jsonAction(testCommand));
 
 // Tooling commands (doctor and status defined later with enhanced options)
 
@@ -181,7 +319,7 @@ program
   .option('--set <key> <value>', 'Set configuration value')
   .option('--reset', 'Reset to default configuration')
   .option('--edit', 'Edit configuration file')
-  .action(configCommand);
+  .action(jsonAction(configCommand));
 
 program
   .command('logs')
@@ -190,7 +328,7 @@ program
   .option('--lines <number>', 'Number of lines to show', '50')
   .option('--level <level>', 'Log level filter')
   .option('--clear', 'Clear log files')
-  .action(logsCommand);
+  .action(jsonAction(logsCommand));
 
 program
   .command('cache')
@@ -198,7 +336,7 @@ program
   .option('--clear', 'Clear all cache')
   .option('--info', 'Show cache information')
   .option('--cleanup', 'Clean up old cache files')
-  .action(cacheCommand);
+  .action(jsonAction(cacheCommand));
 
 // Setup commands
 program
@@ -207,7 +345,7 @@ program
   .option('--force', 'Force reinstallation')
   .option('--skip-deps', 'Skip system dependency checks')
   .option('--version <version>', 'Install specific ZISK version')
-  .action(installCommand);
+  .action(jsonAction(installCommand));
 
 program
   .command('setup')
@@ -222,25 +360,25 @@ program
   .option('--all', 'Reset everything')
   .option('--project', 'Reset project only')
   .option('--config', 'Reset configuration only')
-  .action(resetCommand);
+  .action(jsonAction(resetCommand));
 
 // Doctor command
 program
   .command('doctor')
   .description('Diagnose ZisK installation and environment')
-  .action(doctorCommand);
+  .action(jsonAction(doctorCommand));
 
 // Status command
 program
   .command('status')
   .description('Show current project status')
-  .action(statusCommand);
+  .action(jsonAction(statusCommand));
 
 // Analytics command
 program
   .command('analytics')
   .description('Show detailed proof and execution analytics')
-  .action(analyticsCommand);
+  .action(jsonAction(analyticsCommand));
 
 // Stats command
 program
@@ -248,7 +386,11 @@ program
   .description('Show detailed execution statistics with cost breakdown')
   .option('-i, --input <path>', 'Specific input file to analyze')
   .option('--inputs <pattern>', 'Glob pattern for input files')
-  .action(statsCommand);
+  .option('--case <names...>', 'Manifest cases to analyze (zisk-inputs.yaml)')
+  .option('--tag <tags...>', 'Analyze manifest cases with any of these tags')
+  .option('--manifest <path>', 'Input manifest file (default: zisk-inputs.yaml)')
+  .option('--max-steps <number>', 'Maximum execution steps', validateNumericOption)
+  .action(jsonAction(statsCommand));
 
 // Clean command (update existing)
 program
@@ -256,7 +398,7 @@ program
   .description('Clean build artifacts and temporary files')
   .option('--force', 'Force clean without confirmation')
   .option('--all', 'Clean all directories')
-  .action(cleanCommand);
+  .action(jsonAction(cleanCommand));
 
 // Global error handling
 program.exitOverride();
@@ -0,0 +1,361 @@
+/**
+ * Bincode Serialization
+ * Encodes JSON/YAML values byte-for-byte like `bincode::serialize` (bincode 1.x
+ * default options: little-endian, fixed-width integers, u64 lengths) so guests can
+ * deserialize their input with serde
+ */
+
+const {
+  InputSchema,
+  ByteReader,
+  toBigInt,
+  toBytes,
+  toBoolean,
+  toHex,
+  encodeInteger,
+  encodeFloat,
+  decodeInteger,
+  decodeFloat
+} = require('./schema');
+const { ValidationError } = require('./errors');
+
+class BincodeEncoder {
+  constructor(schema) {
+    this.schema = schema instanceof InputSchema ? schema : new InputSchema(schema);
+  }
+
+  /**
+   * Encode data according to the schema's type description
+   */
+  encode(data) {
+    const chunks = [];
+    this.encodeValue(this.schema.root, data, chunks, '$');
+    return Buffer.concat(chunks);
+  }
+
+  encodeValue(type, value, chunks, location) {
+    switch (type.kind) {
+      case 'int':
+        chunks.push(encodeInteger(value, type.bits, type.signed, location));
+        break;
+      case 'float':
+        chunks.push(encodeFloat(value, type.bits, location));
+        break;
+      case 'bool':
+        chunks.push(Buffer.from([toBoolean(value, location) ? 1 : 0]));
+        break;
+      case 'char':
+        this.encodeChar(value, chunks, location);
+        break;
+      case 'unit':
+        break;
+      case 'string':
+        if (typeof value !== 'string') {
+          throw new ValidationError(`Expected string at ${location}`);
+        }
+        this.encodeSeqBytes(Buffer.from(value, 'utf8'), chunks);
+        break;
+      case 'bytes':
+        this.encodeBytes(type, toBytes(value, location), chunks, location);
+        break;
+      case 'array':
+        this.encodeArray(type, value, chunks, location);
+        break;
+      case 'tuple':
+        if (!Array.isArray(value) || value.length !== type.items.length) {
+          throw new ValidationError(`Expected ${type.items.length}-item array at ${location}`);
+        }
+        type.items.forEach((itemType, index) => {
+          this.encodeValue(itemType, value[index], chunks, `${location}[${index}]`);
+        });
+        break;
+      case 'struct':
+        this.encodeStruct(type, value, chunks, location);
+        break;
+      case 'option':
+        if (value === null || value === undefined) {
+          chunks.push(Buffer.from([0]));
+        } else {
+          chunks.push(Buffer.from([1]));
+          this.encodeValue(type.some, value, chunks, location);
+        }
+        break;
+      case 'enum':
+        this.encodeEnum(type, value, chunks, location);
+        break;
+      case 'map':
+        this.encodeMap(type, value, chunks, location);
+        break;
+      default:
+        throw new ValidationError(`Unsupported bincode type "${type.kind}" at ${location}`);
+    }
+  }
+
+  /**
+   * Sequence length: always u64 with the default bincode options
+   */
+  encodeLength(length) {
+    return encodeInteger(length, 64, false, 'length');
+  }
+
+  encodeSeqBytes(bytes, chunks) {
+    chunks.push(this.encodeLength(bytes.length), bytes);
+  }
+
+  encodeBytes(type, bytes, chunks, location) {
+    // [u8; N] is a tuple (no length), Vec<u8> is a sequence (u64 length)
+    if (type.length !== null && type.length !== undefined) {
+      if (bytes.length !== type.length) {
+        throw new ValidationError(`Expected ${type.length} bytes at ${location}, got ${bytes.length}`);
+      }
+      chunks.push(bytes);
+    } else {
+      this.encodeSeqBytes(bytes, chunks);
+    }
+  }
+
+  encodeArray(type, value, chunks, location) {
+    if (!Array.isArray(value)) {
+      throw new ValidationError(`Expected array at ${location}`);
+    }
+
+    if (type.length !== null && type.length !== undefined) {
+      if (value.length !== type.length) {
+        throw new ValidationError(`Expected ${type.length} items at ${location}, got ${value.length}`);
+      }
+    } else {
+      chunks.push(this.encodeLength(value.length));
+    }
+
+    value.forEach((item, index) => {
+      this.encodeValue(type.items, item, chunks, `${location}[${index}]`);
+    });
+  }
+
+  encodeStruct(type, value, chunks, location) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new ValidationError(`Expected object at ${location}`);
+    }
+
+    for (const field of type.fields) {
+      if (!(field.name in value)) {
+        // Missing Option fields serialize as None, like #[serde(default)]
+        if (field.type.kind === 'option') {
+          chunks.push(Buffer.from([0]));
+          continue;
+        }
+        throw new ValidationError(`Missing field "${field.name}" at ${location}`);
+      }
+      this.encodeValue(field.type, value[field.name], chunks, `${location}.${field.name}`);
+    }
+  }
+
+  /**
+   * Encode enum using serde's externally tagged JSON representation:
+   * "Variant" for unit variants, { "Variant": value } otherwise
+   */
+  encodeEnum(type, value, chunks, location) {
+    let name;
+    let payload;
+
+    if (typeof value === 'string') {
+      name = value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1) {
+      name = Object.keys(value)[0];
+      payload = value[name];
+    } else {
+      throw new ValidationError(`Expected enum variant name or { Variant: value } at ${location}`);
+    }
+
+    const variant = type.variants.find(v => v.name === name);
+    if (!variant) {
+      throw new ValidationError(`Unknown enum variant "${name}" at ${location}`);
+    }
+
+    chunks.push(encodeInteger(variant.index, 32, false, location));
+
+    if (variant.type) {
+      this.encodeValue(variant.type, payload, chunks, `${location}.${name}`);
+    } else if (payload !== undefined && payload !== null) {
+      throw new ValidationError(`Unit variant "${name}" takes no value at ${location}`);
+    }
+  }
+
+  /**
+   * Encode map from a JSON object or a list of [key, value] pairs, in the given order
+   */
+  encodeMap(type, value, chunks, location) {
+    let entries;
+
+    if (Array.isArray(value)) {
+      entries = value;
+    } else if (value && typeof value === 'object') {
+      entries = Object.entries(value);
+    } else {
+      throw new ValidationError(`Expected object or [key, value] list at ${location}`);
+    }
+
+    chunks.push(this.encodeLength(entries.length));
+
+    entries.forEach((entry, index) => {
+      if (!Array.isArray(entry) || entry.length !== 2) {
+        throw new ValidationError(`Expected [key, value] pair at ${location}[${index}]`);
+      }
+      const [key, entryValue] = entry;
+      // JSON object keys are always strings; convert them for integer keys
+      const typedKey = type.key.kind === 'int' ? toBigInt(key, `${location} key`) : key;
+      this.encodeValue(type.key, typedKey, chunks, `${location} key ${key}`);
+      this.encodeValue(type.value, entryValue, chunks, `${location}.${key}`);
+    });
+  }
+
+  /**
+   * Rust chars are written as their UTF-8 bytes without a length
+   */
+  encodeChar(value, chunks, location) {
+    if (typeof value !== 'string' || [...value].length !== 1) {
+      throw new ValidationError(`Expected single character at ${location}`);
+    }
+    chunks.push(Buffer.from(value, 'utf8'));
+  }
+}
+
+/**
+ * Bincode Decoder
+ * Reads bincode bytes back into JSON values using serde's JSON representation
+ */
+class BincodeDecoder {
+  constructor(schema) {
+    this.schema = schema instanceof InputSchema ? schema : new InputSchema(schema);
+  }
+
+  /**
+   * Decode data according to the schema's type description
+   */
+  decode(buffer) {
+    const reader = new ByteReader(buffer);
+    const value = this.decodeValue(this.schema.root, reader, '$');
+
+    if (reader.remaining() > 0) {
+      throw new ValidationError(`Unexpected ${reader.remaining()} trailing byte(s) after bincode value`);
+    }
+
+    return value;
+  }
+
+  decodeValue(type, reader, location) {
+    switch (type.kind) {
+      case 'int':
+        return decodeInteger(reader.take(type.bits / 8, location), type.signed);
+      case 'float':
+        return decodeFloat(reader.take(type.bits / 8, location), type.bits);
+      case 'bool':
+        return this.decodeBool(reader, location);
+      case 'char':
+        return this.decodeChar(reader, location);
+      case 'unit':
+        return null;
+      case 'string':
+        return reader.take(this.decodeLength(reader, location), location).toString('utf8');
+      case 'bytes': {
+        const length = type.length !== null && type.length !== undefined
+          ? type.length
+          : this.decodeLength(reader, location);
+        return toHex(reader.take(length, location));
+      }
+      case 'array': {
+        const count = type.length !== null && type.length !== undefined
+          ? type.length
+          : this.decodeLength(reader, location);
+        const items = [];
+        for (let i = 0; i < count; i++) {
+          items.push(this.decodeValue(type.items, reader, `${location}[${i}]`));
+        }
+        return items;
+      }
+      case 'tuple':
+        return type.items.map((itemType, index) => this.decodeValue(itemType, reader, `${location}[${index}]`));
+      case 'struct': {
+        const value = {};
+        for (const field of type.fields) {
+          value[field.name] = this.decodeValue(field.type, reader, `${location}.${field.name}`);
+        }
+        return value;
+      }
+      case 'option':
+        return this.decodeBool(reader, location)
+          ? this.decodeValue(type.some, reader, location)
+          : null;
+      case 'enum':
+        return this.decodeEnum(type, reader, location);
+      case 'map':
+        return this.decodeMap(type, reader, location);
+      default:
+        throw new ValidationError(`Unsupported bincode type "${type.kind}" at ${location}`);
+    }
+  }
+
+  decodeLength(reader, location) {
+    const length = decodeInteger(reader.take(8, location), false);
+    if (typeof length !== 'number' || length > reader.remaining()) {
+      throw new ValidationError(`Invalid sequence length ${length} at ${location}`);
+    }
+    return length;
+  }
+
+  decodeBool(reader, location) {
+    const byte = reader.take(1, location)[0];
+    if (byte > 1) {
+      throw new ValidationError(`Invalid bool/option tag ${byte} at ${location}`);
+    }
+    return byte === 1;
+  }
+
+  decodeEnum(type, reader, location) {
+    const index = decodeInteger(reader.take(4, location), false);
+    const variant = type.variants.find(v => v.index === index);
+
+    if (!variant) {
+      throw new ValidationError(`Unknown enum variant index ${index} at ${location}`);
+    }
+
+    if (!variant.type) {
+      return variant.name;
+    }
+    return { [variant.name]: this.decodeValue(variant.type, reader, `${location}.${variant.name}`) };
+  }
+
+  /**
+   * Maps with string or integer keys become objects; other keys become [key, value] pairs
+   */
+  decodeMap(type, reader, location) {
+    const count = this.decodeLength(reader, location);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      const key = this.decodeValue(type.key, reader, `${location} key`);
+      const value = this.decodeValue(type.value, reader, `${location}.${key}`);
+      entries.push([key, value]);
+    }
+
+    if (['string', 'int', 'char'].includes(type.key.kind)) {
+      return Object.fromEntries(entries);
+    }
+    return entries;
+  }
+
+  /**
+   * Read one UTF-8 encoded character
+   */
+  decodeChar(reader, location) {
+    const first = reader.buffer[reader.offset];
+    let size = 1;
+    if (first >= 0xf0) size = 4;
+    else if (first >= 0xe0) size = 3;
+    else if (first >= 0xc0) size = 2;
+
+    return reader.take(size, location).toString('utf8');
+  }
+}
+
+module.exports = { BincodeEncoder, BincodeDecoder };
@@ -0,0 +1,172 @@
+/**
+ * Conversion Cache
+ * Content-addressed store of converted inputs, keyed by source hash, converter and options
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+class ConversionCache {
+  constructor(cacheDir = null) {
+    this.cacheDir = cacheDir || path.join(process.cwd(), '.zisk-build', 'cache', 'conversions');
+    this.statsPath = path.join(this.cacheDir, 'stats.json');
+  }
+
+  /**
+   * Build a cache key from the source hash, converter type and conversion options
+   */
+  getKey(sourceHash, converterType, options = {}) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ sourceHash, converterType, options }))
+      .digest('hex');
+  }
+
+  /**
+   * Copy a cached output to outputPath; returns false on a miss
+   */
+  async restore(key, outputPath) {
+    const entryPath = this.getEntryPath(key);
+
+    if (!await fs.pathExists(entryPath)) {
+      await this.recordLookup(false);
+      return false;
+    }
+
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.copy(entryPath, outputPath);
+
+    // Touch metadata so cleanup keeps entries that are still in use
+    const metadataPath = this.getMetadataPath(key);
+    const metadata = await fs.readJson(metadataPath).catch(() => ({}));
+    await fs.writeJson(metadataPath, { ...metadata, lastUsed: new Date().toISOString() }, { spaces: 2 });
+
+    await this.recordLookup(true);
+    return true;
+  }
+
+  /**
+   * Store a converted output under key
+   */
+  async store(key, outputPath, metadata = {}) {
+    await fs.ensureDir(this.cacheDir);
+    await fs.copy(outputPath, this.getEntryPath(key));
+
+    const stats = await fs.stat(outputPath);
+    const now = new Date().toISOString();
+    await fs.writeJson(this.getMetadataPath(key), {
+      ...metadata,
+      size: stats.size,
+      createdAt: now,
+      lastUsed: now
+    }, { spaces: 2 });
+  }
+
+  /**
+   * Get entry count, total size and hit/miss counters
+   */
+  async getInfo() {
+    const entries = await this.listEntries();
+    const stats = await this.readStats();
+    let size = 0;
+
+    for (const entry of entries) {
+      size += entry.size || 0;
+    }
+
+    const lookups = stats.hits + stats.misses;
+
+    return {
+      directory: this.cacheDir,
+      entries: entries.length,
+      size,
+      hits: stats.hits,
+      misses: stats.misses,
+      hitRate: lookups > 0 ? stats.hits / lookups : 0
+    };
+  }
+
+  /**
+   * Remove all entries and reset counters
+   */
+  async clear() {
+    await fs.remove(this.cacheDir);
+  }
+
+  /**
+   * Remove entries not used within maxAge milliseconds
+   */
+  async cleanup(maxAge = DEFAULT_MAX_AGE) {
+    const entries = await this.listEntries();
+    const cutoff = Date.now() - maxAge;
+    let removed = 0;
+
+    for (const entry of entries) {
+      if (new Date(entry.lastUsed || 0).getTime() < cutoff) {
+        await fs.remove(this.getEntryPath(entry.key));
+        await fs.remove(this.getMetadataPath(entry.key));
+        removed++;
+      }
+    }
+
+    return { removed, remaining: entries.length - removed };
+  }
+
+  async listEntries() {
+    if (!await fs.pathExists(this.cacheDir)) {
+      return [];
+    }
+
+    const files = await fs.readdir(this.cacheDir);
+    const entries = [];
+
+    for (const file of files) {
+      if (path.extname(file) !== '.bin') {
+        continue;
+      }
+      const key = path.basename(file, '.bin');
+      const metadata = await fs.readJson(this.getMetadataPath(key)).catch(() => ({}));
+      entries.push({ key, ...metadata });
+    }
+
+    return entries;
+  }
+
+  async readStats() {
+    const stats = await fs.readJson(this.statsPath).catch(() => ({}));
+    return { hits: stats.hits || 0, misses: stats.misses || 0 };
+  }
+
+  async recordLookup(hit) {
+    const stats = await this.readStats();
+    stats[hit ? 'hits' : 'misses']++;
+
+    await fs.ensureDir(this.cacheDir);
+    await fs.writeJson(this.statsPath, stats, { spaces: 2 });
+  }
+
+  getEntryPath(key) {
+    return path.join(this.cacheDir, `${key}.bin`);
+  }
+
+  getMetadataPath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+}
+
+/**
+ * SHA-256 of a file's content, read as a stream so large inputs aren't loaded into memory
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+
+  return hash.digest('hex');
+}
+
+module.exports = { ConversionCache, hashFile };
@@ -0,0 +1,230 @@
+/**
+ * Output Capture
+ * Tees child process output as it arrives: to the terminal (or an onOutput callback) and to
+ * a per-run log file. Memory stays bounded: each stream keeps at most maxBuffer characters
+ * (the most recent ones), and the last lines of both streams are kept for error reports
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { LineSplitter } = require('./progress');
+const { Logger } = require('./logger');
+
+const DEFAULT_MAX_BUFFER = 1024 * 1024 * 10; // 10MB
+const DEFAULT_TAIL_LINES = 200;
+const MAX_RUN_LOGS = 100;
+
+/**
+ * Fixed-size buffer that overwrites its oldest entries
+ */
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity);
+    this.items = [];
+    this.start = 0;
+  }
+
+  push(item) {
+    if (this.items.length < this.capacity) {
+      this.items.push(item);
+    } else {
+      this.items[this.start] = item;
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  toArray() {
+    return [...this.items.slice(this.start), ...this.items.slice(0, this.start)];
+  }
+}
+
+/**
+ * Text of one stream, keeping only the last `limit` characters
+ */
+class BoundedText {
+  constructor(limit) {
+    this.limit = limit;
+    this.chunks = [];
+    this.length = 0;
+    this.truncated = false;
+  }
+
+  append(text) {
+    this.chunks.push(text);
+    this.length += text.length;
+
+    while (this.length > this.limit) {
+      const excess = this.length - this.limit;
+      const first = this.chunks[0];
+      if (first.length <= excess) {
+        this.chunks.shift();
+        this.length -= first.length;
+      } else {
+        this.chunks[0] = first.slice(excess);
+        this.length -= excess;
+      }
+      this.truncated = true;
+    }
+  }
+
+  toString() {
+    return this.chunks.join('');
+  }
+}
+
+/**
+ * Number of output lines kept for error reports (ZISK_OUTPUT_TAIL_LINES)
+ */
+function getTailLines() {
+  const envValue = parseInt(process.env.ZISK_OUTPUT_TAIL_LINES, 10);
+  return envValue > 0 ? envValue : DEFAULT_TAIL_LINES;
+}
+
+class OutputCapture {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxBuffer] - Characters kept per stream
+   * @param {number} [options.tailLines] - Lines kept for error reports
+   * @param {Function} [options.onOutput] - (stream, text) callback, replaces terminal output
+   * @param {boolean} [options.echo] - Write to the terminal when there is no onOutput
+   * @param {string} [options.logFile] - File that receives all output
+   */
+  constructor(options = {}) {
+    this.onOutput = options.onOutput;
+    this.echo = options.echo !== false;
+    this.logFile = options.logFile || null;
+    this.streams = {
+      stdout: new BoundedText(options.maxBuffer || DEFAULT_MAX_BUFFER),
+      stderr: new BoundedText(options.maxBuffer || DEFAULT_MAX_BUFFER)
+    };
+    this.tail = new RingBuffer(options.tailLines || getTailLines());
+    this.splitters = {
+      stdout: new LineSplitter(line => this.tail.push(line)),
+      stderr: new LineSplitter(line => this.tail.push(line))
+    };
+    // Chunks can split a multi-byte character; each decoder holds the partial bytes
+    this.decoders = {
+      stdout: new StringDecoder('utf8'),
+      stderr: new StringDecoder('utf8')
+    };
+    this.log = null;
+    this.closing = null;
+
+    if (this.logFile) {
+      this.log = fs.createWriteStream(this.logFile, { flags: 'a' });
+      // A log that can't be written must not fail the command
+      this.log.on('error', () => {
+        this.log = null;
+      });
+    }
+  }
+
+  /**
+   * Record a chunk of output from one stream
+   */
+  write(stream, data) {
+    const text = typeof data === 'string' ? data : this.decoders[stream].write(data);
+    this.append(stream, text);
+  }
+
+  append(stream, text) {
+    if (!text) {
+      return;
+    }
+
+    this.streams[stream].append(text);
+    this.splitters[stream].write(text);
+
+    if (this.log) {
+      this.log.write(text);
+    }
+
+    if (this.onOutput) {
+      this.onOutput(stream, text);
+    } else if (this.echo) {
+      (stream === 'stderr' ? process.stderr : Logger.getOutputStream()).write(text);
+    }
+  }
+
+  /**
+   * Flush partial lines and close the log file; later calls wait for the first close
+   */
+  close() {
+    if (!this.closing) {
+      this.closing = this.flush();
+    }
+    return this.closing;
+  }
+
+  /**
+   * The work of close(), run once
+   */
+  async flush() {
+    Object.entries(this.decoders).forEach(([stream, decoder]) => this.append(stream, decoder.end()));
+    Object.values(this.splitters).forEach(splitter => splitter.flush());
+
+    if (this.log) {
+      const log = this.log;
+      this.log = null;
+      await new Promise(resolve => log.end(resolve));
+    }
+  }
+
+  /**
+   * Captured output for a command result: stdout and stderr (the most recent maxBuffer
+   * characters of each), the last lines of both, and the log file holding everything
+   */
+  getResult() {
+    return {
+      stdout: this.streams.stdout.toString().trim(),
+      stderr: this.streams.stderr.toString().trim(),
+      truncated: this.streams.stdout.truncated || this.streams.stderr.truncated,
+      tail: this.tail.toArray(),
+      logFile: this.logFile
+    };
+  }
+}
+
+/**
+ * Create the log file for one command run in <cwd>/.zisk-build/logs/runs, named after the
+ * command (and cargo subcommand), and write a header describing the run. Only the newest
+ * MAX_RUN_LOGS logs are kept
+ */
+async function createRunLog(cwd, command, args, header) {
+  const logDir = path.join(cwd, '.zisk-build', 'logs', 'runs');
+  await fs.ensureDir(logDir);
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const subcommand = /^[a-z][\w-]*$/.test(args[0] || '') ? `-${args[0]}` : '';
+  const name = `${path.basename(command)}${subcommand}-${timestamp}`;
+  const logFile = path.join(logDir, `${name}.log`);
+
+  await fs.writeFile(logFile, header);
+  await pruneRunLogs(logDir);
+
+  return logFile;
+}
+
+async function pruneRunLogs(logDir) {
+  const files = (await fs.readdir(logDir)).filter(file => file.endsWith('.log'));
+  if (files.length <= MAX_RUN_LOGS) {
+    return;
+  }
+
+  const entries = await Promise.all(files.map(async file => {
+    const filePath = path.join(logDir, file);
+    return { filePath, mtime: (await fs.stat(filePath)).mtimeMs };
+  }));
+  entries.sort((a, b) => a.mtime - b.mtime);
+
+  await Promise.all(entries.slice(0, entries.length - MAX_RUN_LOGS).map(entry => fs.remove(entry.filePath)));
+}
+
+module.exports = {
+  OutputCapture,
+  RingBuffer,
+  BoundedText,
+  createRunLog,
+  DEFAULT_TAIL_LINES
+};
@@ -7,7 +7,6 @@ const fs = require('fs-extra');
 const path = require('path');
 const glob = require('glob');
 const chalk = require('chalk');
-const ora = require('ora').default;
 const inquirer = require('inquirer');
 const os = require('os');
 const pLimit = require('p-limit');
@@ -18,8 +17,20 @@ const { SystemDetector } = require('./system');
 const { ProjectDiscoverer } = require('./project');
 const { PlatformManager } = require('./platform');
 const { CommandExecutor, ZiskCommandBuilder } = require('./executor');
-const { InputConverter } = require('./converter');
-const { ErrorHandler } = require('./errors');
+const { InputConverter, INPUT_FORMATS } = require('./converter');
+const { InputSchema } = require('./schema');
+const { runGenerator, parseParams } = require('./generator');
+const { InputManifest } = require('./manifest');
+const { GoldenStore } = require('./golden');
+const { OutputSchema, parsePublicOutputs, formatOutputValue } = require('./outputs');
+const { resolveReporter, writeReport } = require('./reporters');
+const { createSpinner, isJsonOutput, printAboveSpinner, renderProgress } = require('./output');
+const { ProgressTracker } = require('./progress');
+const { RunState, fingerprint } = require('./runs');
+const { RomSetupStore } = require('./romsetup');
+const { computeBuildFingerprint, isBuildCurrent, writeBuildFingerprint } = require('./fingerprint');
+const { hashFile } = require('./cache');
+const { ErrorHandler, ValidationError } = require('./errors');
 
 // Initialize core services
 const logger = new Logger();
@@ -31,6 +42,12 @@ const executor = new CommandExecutor();
 const converter = new InputConverter();
 const errorHandler = new ErrorHandler();
 
+// Phases of long-running tool invocations; their output and progress show up on the active spinner
+const progress = new ProgressTracker();
+renderProgress(progress);
+
+const TEST_SUITES = ['unit', 'integration', 'e2e'];
+
 // Security: Enhanced input validation helpers
 function validateAndNormalizePath(inputPath, allowAbsolute = false, baseDir = process.cwd()) {
   if (!inputPath || typeof inputPath !== 'string') {
@@ -145,6 +162,13 @@ function validateOptions(options, commandType = 'general') {
     }
   }
   
+  // Validate input format (ZISK header or raw bytes)
+  if (options.inputFormat) {
+    if (!INPUT_FORMATS.includes(options.inputFormat)) {
+      errors.push(`Invalid input format '${options.inputFormat}'. Must be one of: ${INPUT_FORMATS.join(', ')}`);
+    }
+  }
+  
   // Validate mode for specific commands
   if (options.mode) {
     const validModes = ['prove', 'verify', 'build', 'run'];
@@ -200,7 +224,7 @@ function validateOptions(options, commandType = 'general') {
 
 // Security: Validate and sanitize all input paths in options
 function validateInputPaths(options) {
-  const pathOptions = ['input', 'output', 'inputs', 'proof', 'proofs'];
+  const pathOptions = ['input', 'output', 'inputs', 'proof', 'proofs', 'schema', 'converter', 'manifest', 'goldenDir', 'outputSchema', 'reportFile', 'elf'];
   const validatedOptions = { ...options };
   
   for (const pathOption of pathOptions) {
@@ -301,7 +325,7 @@ async function statusCommand() {
  * Clean command - Clean build artifacts
  */
 async function cleanCommand(options) {
-  const spinner = ora('Cleaning build artifacts...').start();
+  const spinner = createSpinner('Cleaning build artifacts...').start();
   
   try {
     const dirsToClean = [
@@ -420,6 +444,8 @@ INPUT_DEFAULT_FORMAT=binary
 INPUT_AUTO_CONVERT=true
 INPUT_CUSTOM_NAMES=true
 INPUT_DEFAULT_FILE=input.bin
+# raw: bytes exactly as ziskos::read_input() returns them; framed: prefixed with a 16-byte ZISK header
+INPUT_FORMAT=raw
 
 # Output Configuration
 OUTPUT_SAVE_PROOFS=true
@@ -448,14 +474,14 @@ LOG_SAVE_TO_FILE=true
       
       // Check if cargo-zisk is available
       try {
-        await executor.executeCommand('cargo-zisk', ['--version'], { cwd: targetDir });
+        await executor.executeCommand('cargo-zisk', ['--version'], { cwd: targetDir, logFile: false });
       } catch (error) {
         throw new Error('cargo-zisk is not installed. Please install ZisK first: https://0xpolygonhermez.github.io/zisk/getting_started/installation.html');
       }
       
       // Create new project using cargo-zisk sdk new (following official ZisK docs)
       console.log(`Running: cargo-zisk sdk new ${projectName}`);
-      await executor.executeCommand('cargo-zisk', ['sdk', 'new', projectName], { cwd: targetDir });
+      await executor.executeCommand('cargo-zisk', ['sdk', 'new', projectName], { cwd: targetDir, logFile: false });
       
       // Change to project directory
       const projectDir = path.join(targetDir, projectName);
@@ -494,6 +520,8 @@ INPUT_DEFAULT_FORMAT=binary
 INPUT_AUTO_CONVERT=true
 INPUT_CUSTOM_NAMES=true
 INPUT_DEFAULT_FILE=input.bin
+# raw: bytes exactly as ziskos::read_input() returns them; framed: prefixed with a 16-byte ZISK header
+INPUT_FORMAT=raw
 
 # Output Configuration
 OUTPUT_SAVE_PROOFS=true
@@ -530,7 +558,7 @@ LOG_SAVE_TO_FILE=true
  * Follows the ZisK documentation build process
  */
 async function buildCommand(options) {
-  const spinner = ora('Building ZISK program...').start();
+  const spinner = createSpinner('Building ZISK program...').start();
   
   try {
     // Security: Validate and sanitize all options and paths
@@ -591,26 +619,37 @@ async function buildCommand(options) {
       // Note: cargo-zisk build doesn't accept --target argument
       // The target is configured in Cargo.toml or via environment variables
       
-      // Stop spinner temporarily to show command execution
-      spinner.stop();
+      // Skip cargo-zisk entirely when sources, manifests, features and profile are unchanged
+      const elfPath = await getExpectedElfPath(profile, config.projectName);
+      const buildFingerprint = await computeBuildFingerprint(process.cwd(), { profile, features });
+      if (!validatedOptions.forceBuild && await isBuildCurrent(elfPath, buildFingerprint.fingerprint)) {
+        spinner.succeed('Build is up to date, skipping cargo-zisk build');
+        console.log(`ELF file: ${elfPath}`);
+        console.log(chalk.gray('Sources, Cargo files, features and profile are unchanged (use --force-build to rebuild)'));
+        
+        return { elfPath, skipped: true, exitCode: 0, duration: 0 };
+      }
       
-      const buildResult = await executor.executeCargoZisk('build', buildArgs, {
-        cwd: process.cwd(),
-        operation: 'build' // Security: Set operation type for appropriate timeout
-      });
+      // cargo output is printed above the spinner as it arrives
+      const buildResult = await progress.runPhase('build', `Building ${config.projectName || 'program'} (${profile})...`, outputOptions =>
+        executor.executeCargoZisk('build', buildArgs, {
+          cwd: process.cwd(),
+          operation: 'build', // Security: Set operation type for appropriate timeout
+          ...outputOptions
+        })
+      );
       
-      // Restart spinner and show success
-      spinner.start('Build completed successfully');
       spinner.succeed('Build completed successfully');
       
       // Verify ELF file was created
-      const elfPath = await getExpectedElfPath(profile, config.projectName);
       if (!fs.existsSync(elfPath)) {
         // Security: Don't leak internal paths in error messages
         const debugMsg = process.env.ZISK_DEBUG ? ` (Expected: ${elfPath})` : '';
         throw new Error(`Build output not found. Run with ZISK_DEBUG=1 for details${debugMsg}`);
       }
       
+      await writeBuildFingerprint(elfPath, buildFingerprint, { profile, features });
+      
       // Display build information
       displayBuildInfo(buildResult, elfPath);
       
@@ -629,12 +668,34 @@ async function buildCommand(options) {
  * Follows the ZisK documentation complete workflow
  */
 async function runCommand(options) {
-  const spinner = ora('Running ZISK pipeline...').start();
+  const spinner = createSpinner('Running ZISK pipeline...').start();
+  
+  // One report entry per build, execution and proof; `step` is the one in progress
+  const report = [];
+  let step = null;
+  
+  // Checkpoints of the run; `checkpoint` is the run state key of the step in progress
+  let run = null;
+  let checkpoint = null;
   
   try {
+    // A resumed run uses the options it was started with
+    if (options.resume) {
+      run = await RunState.load(options.resume);
+      options = {
+        ...run.options,
+        resume: options.resume,
+        reporter: options.reporter,
+        reportFile: options.reportFile,
+        forceBuild: options.forceBuild
+      };
+      printAboveSpinner(chalk.gray(`Resuming run ${run.id}`));
+    }
+    
     // Security: Validate and sanitize all options and paths
     validateOptions(options, 'run');
     const validatedOptions = validateInputPaths(options);
+    resolveReporter(options);
     
     // Load configuration from .zisk-env file
     const config = await loadProjectConfig(process.cwd());
@@ -647,36 +708,66 @@ async function runCommand(options) {
       spinner.text = 'Building and running basic Rust project...';
       
       // Build the project
+      step = { suite: 'build', name: 'build' };
       const buildResult = await buildCommand(options);
+      report.push({ ...step, status: 'pass', duration: buildResult.duration });
       
       // Run the project
       spinner.text = 'Running program...';
+      step = { suite: 'run', name: 'cargo run' };
       const runResult = await executor.executeCommand('cargo', ['run', '--release'], {
         cwd: process.cwd()
       });
+      report.push(passedReportCase(step, runResult, runResult.stdout));
+      step = null;
       
       spinner.succeed('Program executed successfully');
       
       console.log('\nProgram output:');
       console.log(runResult.stdout || 'No output');
       
+      await reportResults(report, 'run', validatedOptions);
+      
       return { type: 'basic', build: buildResult, run: runResult };
       
     } else {
       // Run ZisK pipeline
+      if (!run) {
+        run = await RunState.create(options);
+        printAboveSpinner(chalk.gray(`Run ${run.id} (resume with: zisk-dev run --resume ${run.id})`));
+      }
+      
       // Step 1: Convert inputs to binary format
       spinner.text = 'Converting inputs...';
       const inputFiles = await getInputFiles(options);
       const convertedInputs = await convertInputs(inputFiles, options);
       
-      // Step 2: Build the program
+      // Step 2: Build the program (skipped when the build fingerprint matches)
       spinner.text = 'Building program...';
+      step = { suite: 'build', name: 'build' };
       const buildResult = await buildCommand(options);
+      report.push({
+        ...step,
+        status: 'pass',
+        duration: buildResult.duration,
+        message: buildResult.skipped ? 'Up to date, build skipped' : null
+      });
+      step = null;
+      
+      // Checkpoints of the steps below are only valid for this ELF
+      const elfHash = await hashFile(buildResult.elfPath);
+      await run.setElfHash(elfHash);
       
       // Step 3: Setup ROM (if needed and supported)
       if (!options.skipSetup) {
-        spinner.text = 'Setting up ROM...';
-        await setupROM(buildResult.elfPath, options);
+        checkpoint = 'rom-setup';
+        const setupFingerprint = fingerprint({ elfHash });
+        if (!run.getCompleted(checkpoint, setupFingerprint)) {
+          spinner.text = 'Setting up ROM...';
+          await setupROM(buildResult.elfPath, options);
+          await run.complete(checkpoint, setupFingerprint);
+        }
+        checkpoint = null;
       }
       
       // Step 4: Execute program
@@ -684,17 +775,67 @@ async function runCommand(options) {
       const executionResults = [];
       
       for (const input of convertedInputs) {
+        step = { suite: 'execute', name: input.name, input: input.inputPath };
+        checkpoint = `execute:${input.inputPath}`;
+        const stepFingerprint = fingerprint({
+          elfHash,
+          input: await hashFile(input.outputPath),
+          maxSteps: getMaxSteps(input, options, config) || null
+        });
+        
+        const completed = run.getCompleted(checkpoint, stepFingerprint);
+        if (completed) {
+          executionResults.push({ ...completed.result, resumed: true });
+          report.push(resumedReportCase(step, completed.result));
+          continue;
+        }
+        
         const result = await executeSingleInput(input, buildResult.elfPath, options);
         executionResults.push(result);
+        report.push(passedReportCase(step, result, result.output));
+        
+        const { output, ...summary } = result;
+        await run.complete(checkpoint, stepFingerprint, summary);
       }
+      step = null;
+      checkpoint = null;
+      await decodePublicOutputs(executionResults, options);
       
       // Step 5: Generate proofs (if not skipped)
-      let proofResults = [];
+      const proofResults = [];
       if (!options.skipProve) {
         spinner.text = 'Generating proofs...';
-        proofResults = await generateProofs(convertedInputs, buildResult.elfPath, options);
+        for (const input of convertedInputs) {
+          step = { suite: 'prove', name: input.name, input: input.inputPath };
+          checkpoint = `prove:${input.inputPath}`;
+          const stepFingerprint = fingerprint({
+            elfHash,
+            input: await hashFile(input.outputPath),
+            output: getProofOutputDir(getProofBaseDir(options, config), input, convertedInputs.length),
+            aggregate: Boolean(options.aggregate),
+            verify: Boolean(options.verify)
+          });
+          
+          // A finished proof is only reused while its output directory is still there
+          const completed = run.getCompleted(checkpoint, stepFingerprint);
+          if (completed && await fs.pathExists(completed.result.outputDir)) {
+            proofResults.push({ ...completed.result, resumed: true });
+            report.push(resumedReportCase(step, completed.result));
+            continue;
+          }
+          
+          const result = await proveSingleInput(input, buildResult.elfPath, options, convertedInputs.length);
+          proofResults.push(result);
+          report.push(passedReportCase(step, result, result.proof));
+          
+          const { proof, ...summary } = result;
+          await run.complete(checkpoint, stepFingerprint, summary);
+        }
+        step = null;
+        checkpoint = null;
       }
       
+      await run.finish();
       spinner.succeed('Pipeline completed successfully');
       
       // Display comprehensive results
@@ -705,7 +846,10 @@ async function runCommand(options) {
         proofs: proofResults
       });
       
+      await reportResults(report, 'run', validatedOptions);
+      
       return {
+        runId: run.id,
         inputs: convertedInputs,
         build: buildResult,
         execution: executionResults,
@@ -715,6 +859,18 @@ async function runCommand(options) {
     
   } catch (error) {
     spinner.fail('Pipeline failed');
+    
+    // Report the step that failed along with the ones that completed
+    if (step) {
+      report.push(failedReportCase(step, error));
+    }
+    await reportResults(report, 'run', options).catch(() => null);
+    
+    if (run) {
+      await (checkpoint ? run.fail(checkpoint, error) : run.finish('failed')).catch(() => null);
+      console.log(chalk.yellow(`Resume with: zisk-dev run --resume ${run.id}`));
+    }
+    
     await errorHandler.handleError(error, { name: 'run' }, options);
     throw error;
   }
@@ -725,7 +881,7 @@ async function runCommand(options) {
  * Follows the ZisK documentation execution process
  */
 async function executeCommand(options) {
-  const spinner = ora('Executing ZISK program...').start();
+  const spinner = createSpinner('Executing ZISK program...').start();
   
   try {
     // Get input files
@@ -734,12 +890,15 @@ async function executeCommand(options) {
     // Convert inputs if needed
     const convertedInputs = await convertInputs(inputFiles, options);
     
+    // Load configuration from .zisk-env file
+    const config = await loadProjectConfig(process.cwd());
+    
     // Execute program for each input
     const results = [];
     
     for (const input of convertedInputs) {
-      // Use cargo-zisk run for single command execution
-      const runArgs = ['run'];
+      // Use cargo-zisk run for single command execution (executeCargoZisk adds the subcommand)
+      const runArgs = [];
       
       if (options.profile === 'release') {
         runArgs.push('--release');
@@ -747,6 +906,13 @@ async function executeCommand(options) {
       
       runArgs.push('-i', input.outputPath);
       
+      // Same step limit as run: --max-steps, the manifest case, then .zisk-env
+      const maxSteps = getMaxSteps(input, options, config);
+      if (maxSteps) {
+        const validatedMaxSteps = validateNumber(maxSteps, 1, 1000000000, 'maxSteps');
+        runArgs.push('-n', validatedMaxSteps.toString());
+      }
+      
       if (options.metrics) {
         runArgs.push('-m');
       }
@@ -755,22 +921,37 @@ async function executeCommand(options) {
         runArgs.push('-x');
       }
       
-      const result = await executor.executeCargoZisk('run', runArgs, {
-        cwd: process.cwd()
-      });
+      const result = await progress.runPhase('execute', `Executing ${input.name}...`, outputOptions =>
+        executor.executeCargoZisk('run', runArgs, {
+          cwd: process.cwd(),
+          ...outputOptions
+        }),
+      { input: input.inputPath });
       
       results.push({
         input: input.inputPath,
+        binary: input.outputPath,
+        case: input.case ? input.case.name : null,
         output: result.stdout,
+        outputs: parsePublicOutputs(result.stdout),
         duration: result.duration
       });
     }
     
+    await decodePublicOutputs(results, options);
+    
     spinner.succeed('Execution completed successfully');
     
     // Display results
     displayExecutionResults(results);
     
+    // Compare public outputs with golden files (or record them)
+    if (options.expect || options.updateGolden) {
+      const checks = await checkGoldenOutputs(convertedInputs, results, options);
+      displayGoldenResults(checks);
+      assertGoldenResults(checks);
+    }
+    
     return results;
     
   } catch (error) {
@@ -785,7 +966,7 @@ async function executeCommand(options) {
  * Follows the ZisK documentation proving process
  */
 async function proveCommand(options) {
-  const spinner = ora('Generating zero-knowledge proof...').start();
+  const spinner = createSpinner('Generating zero-knowledge proof...').start();
   
   try {
     // Security: Validate and sanitize all options and paths
@@ -837,10 +1018,12 @@ async function proveCommand(options) {
           proveArgs.push('-i', validatedInputPath);
           
           // Add output directory - use OUTPUT_DIRECTORY from .zisk-env if not provided
-          const outputDir = validatedOptions.output || config.outputDirectory || './proofs';
+          const baseOutputDir = validatedOptions.output || config.outputDirectory || './proofs';
+          const outputDir = getProofOutputDir(baseOutputDir, input, convertedInputs.length);
           
           // Validate output directory path
           const validatedOutputDir = validateAndNormalizePath(outputDir, false, process.cwd());
+          await fs.ensureDir(validatedOutputDir);
           proveArgs.push('-o', validatedOutputDir);
           
           // Add witness library path (from system detection)
@@ -859,16 +1042,21 @@ async function proveCommand(options) {
             proveArgs.push('-y');
           }
           
-          const result = await executor.executeCargoZisk('prove', proveArgs, {
-            cwd: process.cwd(),
-            operation: 'prove' // Security: Set operation type for appropriate timeout
-          });
+          const result = await progress.runPhase('prove', `Proving ${input.name}...`, outputOptions =>
+            executor.executeCargoZisk('prove', proveArgs, {
+              cwd: process.cwd(),
+              operation: 'prove', // Security: Set operation type for appropriate timeout
+              ...outputOptions
+            }),
+          { input: input.inputPath });
           
           // Save detailed proof generation output to log file
           await saveProofGenerationLog(result, input.inputPath, 'prove');
           
           return {
             input: input.inputPath,
+            binary: input.outputPath,
+            case: input.case ? input.case.name : null,
             proof: result.stdout,
             duration: result.duration,
             outputDir
@@ -896,47 +1084,58 @@ async function proveCommand(options) {
  * Follows the ZisK documentation verification process
  */
 async function verifyCommand(options) {
-  const spinner = ora('Verifying proof...').start();
+  const spinner = createSpinner('Verifying proof...').start();
   
   try {
+    resolveReporter(options);
+    
     // Get proof files
     const proofFiles = await getProofFiles(options);
     
-    // Verify each proof
+    // Verify each proof; a failed proof doesn't stop the others from being verified
     const results = [];
     
     for (const proofFile of proofFiles) {
-      const verifyArgs = ['verify', '-p', proofFile];
-      
-      // Add verification files if specified
-      if (options.starkinfo) {
-        verifyArgs.push('-s', options.starkinfo);
-      }
-      
-      if (options.verifier) {
-        verifyArgs.push('-e', options.verifier);
-      }
-      
-      if (options.verkey) {
-        verifyArgs.push('-k', options.verkey);
+      const startTime = Date.now();
+      try {
+        // Failures are reported per proof below, without the executor's recovery
+        results.push(await verifyProof(proofFile, { ...options, quiet: true }));
+      } catch (error) {
+        results.push({
+          proof: proofFile,
+          verified: false,
+          output: getCapturedOutput(error),
+          exitCode: error.context?.result?.exitCode ?? null,
+          duration: Date.now() - startTime,
+          error: error.message
+        });
       }
-      
-      const result = await executor.executeCargoZisk('verify', verifyArgs, {
-        cwd: process.cwd()
-      });
-      
-      results.push({
-        proof: proofFile,
-        verified: result.exitCode === 0,
-        output: result.stdout
-      });
     }
     
-    spinner.succeed('Verification completed successfully');
+    const failed = results.filter(result => !result.verified).length;
+    if (failed > 0) {
+      spinner.stop();
+    } else {
+      spinner.succeed('Verification completed successfully');
+    }
     
     // Display results
     displayVerificationResults(results);
     
+    await reportResults(results.map(result => ({
+      suite: 'verify',
+      name: result.proof,
+      status: result.verified ? 'pass' : 'fail',
+      duration: result.duration,
+      exitCode: result.exitCode,
+      message: result.verified ? null : result.error || 'Proof did not verify',
+      output: result.output
+    })), 'verify', options);
+    
+    if (failed > 0) {
+      throw new ValidationError(`${failed} of ${results.length} proof(s) failed verification`);
+    }
+    
     return results;
     
   } catch (error) {
@@ -946,11 +1145,47 @@ async function verifyCommand(options) {
   }
 }
 
+/**
+ * Verify one proof file with cargo-zisk verify
+ */
+async function verifyProof(proofFile, options) {
+  const verifyArgs = ['-p', proofFile];
+  
+  // Add verification files if specified
+  if (options.starkinfo) {
+    verifyArgs.push('-s', options.starkinfo);
+  }
+  
+  if (options.verifier) {
+    verifyArgs.push('-e', options.verifier);
+  }
+  
+  if (options.verkey) {
+    verifyArgs.push('-k', options.verkey);
+  }
+  
+  const result = await progress.runPhase('verify', `Verifying ${proofFile}...`, outputOptions =>
+    executor.executeCargoZisk('verify', verifyArgs, {
+      cwd: process.cwd(),
+      quiet: options.quiet,
+      ...outputOptions
+    })
+  );
+  
+  return {
+    proof: proofFile,
+    verified: result.exitCode === 0,
+    output: result.stdout,
+    exitCode: result.exitCode,
+    duration: result.duration
+  };
+}
+
 /**
  * Clean build artifacts and temporary files
  */
 async function cleanCommand(options) {
-  const spinner = ora('Cleaning build artifacts...').start();
+  const spinner = createSpinner('Cleaning build artifacts...').start();
   
   try {
     const dirsToClean = [
@@ -998,6 +1233,37 @@ async function cleanCommand(options) {
   }
 }
 
+/**
+ * Run ROM setup for the built ELF, even when the recorded setup is current
+ */
+async function romSetupCommand(options) {
+  const spinner = createSpinner('Setting up ROM...').start();
+  
+  try {
+    validateOptions(options, 'rom-setup');
+    const validatedOptions = validateInputPaths(options);
+    
+    // Load complete configuration (system + project + .env overrides)
+    const config = await configManager.loadConfiguration(process.cwd());
+    const profile = validatedOptions.profile || config.buildProfile || 'release';
+    const elfPath = validatedOptions.elf || await getExpectedElfPath(profile, config.projectName);
+    
+    if (!await fs.pathExists(elfPath)) {
+      throw new ValidationError(`ELF not found: ${elfPath}. Run "zisk-dev build" first`);
+    }
+    
+    const result = await setupROM(elfPath, { ...validatedOptions, forceSetup: true });
+    spinner.succeed(`ROM setup completed in ${result.duration}ms`);
+    
+    return { elfPath, ...result };
+    
+  } catch (error) {
+    spinner.fail('ROM setup failed');
+    await errorHandler.handleError(error, { name: 'rom-setup' }, options);
+    throw error;
+  }
+}
+
 /**
  * Watch for file changes and auto-rebuild
  */
@@ -1056,24 +1322,43 @@ async function devCommand(options) {
  * Run project test suite
  */
 async function testCommand(options) {
-  const spinner = ora('Running tests...').start();
+  const spinner = createSpinner('Running tests...').start();
   
   try {
-    // Run tests based on options
-    if (options.unit) {
-      await runUnitTests();
-    } else if (options.integration) {
-      await runIntegrationTests();
-    } else if (options.e2e) {
-      await runE2ETests();
-    } else {
-      // Run all tests
-      await runUnitTests();
-      await runIntegrationTests();
-      await runE2ETests();
+    const validatedOptions = validateInputPaths(options);
+    resolveReporter(options);
+    
+    // Run the selected test suites, or all of them
+    const selected = TEST_SUITES.filter(suite => options[suite]);
+    const suites = selected.length > 0 ? selected : TEST_SUITES;
+    const results = [];
+    
+    for (const suite of suites) {
+      spinner.text = `Running ${suite} tests...`;
+      switch (suite) {
+        case 'unit':
+          results.push(...await runUnitTests(validatedOptions, spinner));
+          break;
+        case 'integration':
+          results.push(...await runIntegrationTests(validatedOptions, spinner));
+          break;
+        case 'e2e':
+          results.push(...await runE2ETests(validatedOptions, spinner));
+          break;
+      }
+    }
+    
+    spinner.stop();
+    displayTestResults(results);
+    await reportResults(results, 'test', validatedOptions);
+    
+    const failed = results.filter(result => result.status === 'fail').length;
+    if (failed > 0) {
+      throw new ValidationError(`${failed} of ${results.length} test(s) failed`);
     }
     
     spinner.succeed('Tests completed successfully');
+    return results;
     
   } catch (error) {
     spinner.fail('Tests failed');
@@ -1090,13 +1375,17 @@ async function doctorCommand(options) {
   
   const issues = [];
   const recommendations = [];
+  const checks = {};
   
   try {
     // Check ZisK installation
     console.log('Checking ZisK installation...');
+    checks.zisk = { installed: false, version: null };
     try {
-      const versionResult = await executor.executeCommand('cargo-zisk', ['--version']);
+      // Probes get no run log, so they don't push the logs of real runs out
+      const versionResult = await executor.executeCommand('cargo-zisk', ['--version'], { logFile: false });
       const version = versionResult.stdout.trim();
+      checks.zisk = { installed: true, version };
       console.log(chalk.green(`ZisK installed: ${version}`));
       
       // Check if it's a recent version
@@ -1113,8 +1402,10 @@ async function doctorCommand(options) {
     
     // Check Rust toolchain
     console.log('\nChecking Rust toolchain...');
+    checks.rust = { installed: false, version: null };
     try {
-      const rustResult = await executor.executeCommand('rustc', ['--version']);
+      const rustResult = await executor.executeCommand('rustc', ['--version'], { logFile: false });
+      checks.rust = { installed: true, version: rustResult.stdout.trim() };
       console.log(chalk.green(`Rust installed: ${rustResult.stdout.trim()}`));
     } catch (error) {
       issues.push('Rust not found');
@@ -1123,9 +1414,11 @@ async function doctorCommand(options) {
     
     // Check ZisK toolchain
     console.log('\nChecking ZisK Rust toolchain...');
+    checks.ziskToolchain = { installed: false };
     try {
-      const ziskToolchainResult = await executor.executeCommand('rustup', ['show']);
-      if (ziskToolchainResult.stdout.includes('zisk')) {
+      const ziskToolchainResult = await executor.executeCommand('rustup', ['show'], { logFile: false });
+      checks.ziskToolchain.installed = ziskToolchainResult.stdout.includes('zisk');
+      if (checks.ziskToolchain.installed) {
         console.log(chalk.green('ZisK Rust toolchain installed'));
       } else {
         issues.push('ZisK Rust toolchain not found');
@@ -1138,7 +1431,8 @@ async function doctorCommand(options) {
     // Check proving key
     console.log('\nChecking proving key...');
     const provingKeyPath = platform.ziskPaths.provingKey;
-    if (await fs.pathExists(provingKeyPath)) {
+    checks.provingKey = { found: await fs.pathExists(provingKeyPath) };
+    if (checks.provingKey.found) {
       console.log(chalk.green('Proving key found'));
     } else {
       issues.push('Proving key not found');
@@ -1148,7 +1442,8 @@ async function doctorCommand(options) {
     // Check witness library
     console.log('\nChecking witness library...');
     const libPaths = platform.resolveLibraryPaths();
-    if (await fs.pathExists(libPaths.witnessLibrary)) {
+    checks.witnessLibrary = { found: await fs.pathExists(libPaths.witnessLibrary) };
+    if (checks.witnessLibrary.found) {
       console.log(chalk.green('Witness library found'));
     } else {
       issues.push('Witness library not found');
@@ -1157,10 +1452,12 @@ async function doctorCommand(options) {
     
     // Check current project
     console.log('\nChecking current project...');
+    checks.project = { detected: false, name: null };
     if (await fs.pathExists('.zisk-env')) {
       console.log(chalk.green('ZisK project detected'));
       const envContent = await fs.readFile('.zisk-env', 'utf8');
       const projectName = envContent.match(/PROJECT_NAME=(.+)/)?.[1];
+      checks.project = { detected: true, name: projectName || null };
       if (projectName) {
         console.log(chalk.green(`Project: ${projectName}`));
       }
@@ -1187,8 +1484,13 @@ async function doctorCommand(options) {
       }
     }
     
+    return { ready: issues.length === 0, checks, issues, recommendations };
+    
   } catch (error) {
     console.error(chalk.red('Doctor command failed:'), error.message);
+    if (isJsonOutput()) {
+      throw error;
+    }
   }
 }
 
@@ -1201,6 +1503,15 @@ async function statusCommand(options) {
   try {
     // Load complete configuration (system + project + .env overrides)
     const config = await configManager.loadConfiguration(process.cwd());
+    const status = {
+      project: config.projectName,
+      buildProfile: config.buildProfile,
+      build: { built: false, builtAt: null },
+      romSetup: { current: false, reason: null, setupAt: null },
+      inputFiles: [],
+      proofFiles: 0,
+      nextSteps: []
+    };
     
     console.log(chalk.green(`Project: ${config.projectName}`));
     console.log(chalk.green(`Build Profile: ${config.buildProfile}`));
@@ -1209,7 +1520,23 @@ async function statusCommand(options) {
     const elfPath = await getExpectedElfPath(config.buildProfile, config.projectName);
     if (await fs.pathExists(elfPath)) {
       const stats = await fs.stat(elfPath);
+      status.build = { built: true, builtAt: stats.mtime };
       console.log(chalk.green(`Built: ${stats.mtime.toLocaleString()}`));
+      
+      // ROM setup recorded for this ELF, with whichever proving key it used
+      const romSetup = await new RomSetupStore().getStatus(elfPath);
+      status.romSetup = {
+        current: romSetup.current,
+        reason: romSetup.reason,
+        setupAt: romSetup.record ? romSetup.record.setupAt : null,
+        provingKey: romSetup.record ? romSetup.record.provingKey : null
+      };
+      if (romSetup.current) {
+        const provingKey = romSetup.record.provingKey ? `, proving key ${romSetup.record.provingKey}` : '';
+        console.log(chalk.green(`ROM setup: current (${new Date(romSetup.record.setupAt).toLocaleString()}${provingKey})`));
+      } else {
+        console.log(chalk.yellow(`ROM setup: needed (${romSetup.reason})`));
+      }
     } else {
       console.log(chalk.yellow('Not built yet'));
     }
@@ -1219,6 +1546,7 @@ async function statusCommand(options) {
     if (await fs.pathExists(inputDir)) {
       const inputFiles = await fs.readdir(inputDir);
       const binFiles = inputFiles.filter(f => f.endsWith('.bin'));
+      status.inputFiles = binFiles;
       if (binFiles.length > 0) {
         console.log(chalk.green(`Input files: ${binFiles.length} found`));
         binFiles.forEach(file => {
@@ -1235,6 +1563,7 @@ async function statusCommand(options) {
     const proofDir = 'proofs';
     if (await fs.pathExists(proofDir)) {
       const proofFiles = await fs.readdir(proofDir);
+      status.proofFiles = proofFiles.length;
       if (proofFiles.length > 0) {
         console.log(chalk.green(`Proof files: ${proofFiles.length} found`));
       } else {
@@ -1245,18 +1574,25 @@ async function statusCommand(options) {
     }
     
     // Show next steps
-    console.log(chalk.blue('\nNext steps:'));
     if (!await fs.pathExists(elfPath)) {
-      console.log(chalk.blue('  - zisk-dev build'));
+      status.nextSteps.push('zisk-dev build');
     } else if (!await fs.pathExists('build/input.bin')) {
-      console.log(chalk.blue('  - Create input files in build/ directory'));
+      status.nextSteps.push('Create input files in build/ directory');
     } else {
-      console.log(chalk.blue('  - zisk-dev run (build + execute)'));
-      console.log(chalk.blue('  - zisk-dev prove (generate proofs)'));
+      status.nextSteps.push('zisk-dev run (build + execute)', 'zisk-dev prove (generate proofs)');
     }
+    console.log(chalk.blue('\nNext steps:'));
+    status.nextSteps.forEach(step => {
+      console.log(chalk.blue(`  - ${step}`));
+    });
+    
+    return status;
     
   } catch (error) {
     console.error(chalk.red('Status command failed:'), error.message);
+    if (isJsonOutput()) {
+      throw error;
+    }
   }
 }
 
@@ -1319,8 +1655,8 @@ async function cacheCommand(options) {
       const cacheInfo = await getCacheInfo();
       displayCacheInfo(cacheInfo);
     } else if (options.cleanup) {
-      await cleanupCache();
-      console.log('Cache cleanup completed');
+      const result = await cleanupCache();
+      console.log(`Cache cleanup completed (${result.removed} removed, ${result.remaining} kept)`);
     }
     
   } catch (error) {
@@ -1333,7 +1669,7 @@ async function cacheCommand(options) {
  * Install or update ZISK dependencies
  */
 async function installCommand(options) {
-  const spinner = ora('Installing ZISK dependencies...').start();
+  const spinner = createSpinner('Installing ZISK dependencies...').start();
   
   try {
     const installer = new ZiskInstaller();
@@ -1376,7 +1712,7 @@ async function setupCommand(options) {
  * Reset installation or project state
  */
 async function resetCommand(options) {
-  const spinner = ora('Resetting state...').start();
+  const spinner = createSpinner('Resetting state...').start();
   
   try {
     if (options.all) {
@@ -1398,117 +1734,385 @@ async function resetCommand(options) {
   }
 }
 
-// Helper functions
 /**
- * Load project configuration from .zisk-env file
+ * Convert a single input file to binary format
  */
-async function loadProjectConfig(targetDir) {
-  const envPath = path.join(targetDir, '.zisk-env');
-  
-  if (!fs.existsSync(envPath)) {
-    return null;
-  }
-  
+async function inputConvertCommand(file, options) {
   try {
-    const envContent = await fs.readFile(envPath, 'utf8');
-    const config = {};
-    
-    // Parse .env format
-    const lines = envContent.split('\n');
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (trimmedLine && !trimmedLine.startsWith('#')) {
-        const [key, ...valueParts] = trimmedLine.split('=');
-        if (key && valueParts.length > 0) {
-          config[key.trim()] = valueParts.join('=').trim();
-        }
-      }
+    validateOptions(options, 'input');
+    const validatedOptions = validateInputPaths({ ...options, input: file });
+    
+    const config = await loadProjectConfig(process.cwd());
+    const conversionOptions = getConversionOptions(validatedOptions, config);
+    const outputPath = validatedOptions.output || path.join('build', converter.getBinaryFilename(file));
+    
+    const result = await converter.convertInput(validatedOptions.input, outputPath, conversionOptions);
+    
+    console.log(chalk.green(`Converted ${result.inputPath} -> ${result.outputPath}`));
+    console.log(`  Size: ${result.size} bytes${result.cached ? ' (cached)' : ''}`);
+    console.log(`  Layout: ${conversionOptions.inputFormat}`);
+    if (result.schema) {
+      console.log(`  Schema: ${result.schema}`);
     }
     
-    return config;
+    return result;
+    
   } catch (error) {
-    console.warn(`Could not read .zisk-env file: ${error.message}`);
-    return null;
+    console.error(chalk.red('Input conversion failed:'), error.message);
+    await errorHandler.handleError(error, { name: 'input convert' }, options);
+    throw error;
   }
 }
 
 /**
- * Get project name from configuration or fallback sources
+ * Decode a binary input file back to a readable source format
  */
-async function getProjectName(targetDir) {
-  // First, try to read from .zisk-env
-  const config = await loadProjectConfig(targetDir);
-  if (config && config.PROJECT_NAME) {
-    return config.PROJECT_NAME;
-  }
-  
-  // Fallback to Cargo.toml
-  const cargoTomlPath = path.join(targetDir, 'Cargo.toml');
-  if (fs.existsSync(cargoTomlPath)) {
-    try {
-      const cargoContent = await fs.readFile(cargoTomlPath, 'utf8');
-      const nameMatch = cargoContent.match(/name\s*=\s*"([^"]+)"/);
-      if (nameMatch) {
-        return nameMatch[1];
+async function inputDecodeCommand(file, options) {
+  try {
+    const validatedOptions = validateInputPaths({ ...options, input: file });
+    
+    const config = await loadProjectConfig(process.cwd());
+    const decodeOptions = getConversionOptions(validatedOptions, config);
+    
+    const result = await converter.decodeInput(validatedOptions.input, validatedOptions.output || null, decodeOptions);
+    
+    if (result.outputPath) {
+      console.log(chalk.green(`Decoded ${result.inputPath} -> ${result.outputPath}`));
+      if (result.header) {
+        console.log(`  ZISK header: ${result.header.dataLength} data bytes`);
       }
-    } catch (error) {
-      console.warn('Could not read Cargo.toml for project name');
+      if (result.schema) {
+        console.log(`  Schema: ${result.schema}`);
+      }
+    } else {
+      Logger.getOutputStream().write(result.content);
     }
+    
+    return result;
+    
+  } catch (error) {
+    console.error(chalk.red('Input decoding failed:'), error.message);
+    await errorHandler.handleError(error, { name: 'input decode' }, options);
+    throw error;
   }
-  
-  // Fallback to directory name
-  const dirName = path.basename(targetDir);
-  if (dirName && dirName !== '.') {
-    return dirName;
-  }
-  
-  // Final fallback
-  return 'zisk-project';
 }
 
 /**
- * Extract project name from various sources (legacy function)
+ * Run a generator script and write each generated input to an input set (inputs/<name>/)
  */
-async function extractProjectName(targetDir) {
-  return await getProjectName(targetDir);
+async function inputGenerateCommand(generator, options) {
+  try {
+    validateOptions(options, 'input');
+    const validatedOptions = validateInputPaths({ ...options, input: generator });
+    
+    const setName = validatedOptions.name || path.basename(generator, path.extname(generator));
+    if (!/^[\w.-]+$/.test(setName)) {
+      throw new Error(`Invalid input set name: ${setName}`);
+    }
+    
+    const config = await loadProjectConfig(process.cwd());
+    const conversionOptions = getConversionOptions(validatedOptions, config);
+    // Without --schema/INPUT_SCHEMA, use a schema next to the generator script, then the
+    // project's inputs/schema.yaml, like inputs converted from files
+    const schema = await converter.resolveSchema(validatedOptions.input, conversionOptions) ||
+      await converter.discoverProjectSchema();
+    if (!schema && !conversionOptions.format) {
+      console.log(chalk.yellow('No input schema found (--schema, INPUT_SCHEMA or inputs/schema.yaml): generated values are written as JSON text'));
+    }
+    const setDir = path.join('inputs', setName);
+    
+    // Regenerating replaces the whole set, so no stale vectors are left behind
+    const staleFiles = glob.sync(`${setDir}/*.bin`);
+    for (const file of staleFiles) {
+      await fs.remove(file);
+    }
+    
+    const context = { name: setName, params: parseParams(validatedOptions.param) };
+    const results = [];
+    
+    for await (const data of runGenerator(validatedOptions.input, context)) {
+      const outputPath = path.join(setDir, `${setName}-${String(results.length).padStart(3, '0')}.bin`);
+      results.push(await converter.convertData(data, outputPath, { ...conversionOptions, schema }));
+    }
+    
+    if (results.length === 0) {
+      console.log(chalk.yellow(`Generator ${generator} produced no inputs`));
+    } else {
+      console.log(chalk.green(`Generated ${results.length} input(s) in ${setDir}/`));
+    }
+    console.log(`  Layout: ${conversionOptions.inputFormat}`);
+    if (schema) {
+      console.log(`  Schema: ${schema.source}`);
+    }
+    if (staleFiles.length > 0) {
+      console.log(`  Replaced ${staleFiles.length} previously generated file(s)`);
+    }
+    console.log(chalk.blue(`\nRun them with: zisk-dev execute --inputs ${setDir}`));
+    
+    return { name: setName, directory: setDir, inputs: results };
+    
+  } catch (error) {
+    console.error(chalk.red('Input generation failed:'), error.message);
+    await errorHandler.handleError(error, { name: 'input generate' }, options);
+    throw error;
+  }
 }
 
 /**
- * Detect the main program file in an existing project
+ * List the cases in the input manifest
  */
-async function detectMainProgramFile(targetDir) {
-  const possibleMainFiles = [
-    'src/main.rs',
-    'src/lib.rs',
-    'main.rs',
-    'lib.rs'
-  ];
-  
-  for (const mainFile of possibleMainFiles) {
-    const fullPath = path.join(targetDir, mainFile);
-    if (fs.existsSync(fullPath)) {
-      try {
-        const content = await fs.readFile(fullPath, 'utf8');
-        // Check if it's a ZisK program (has ziskos::entrypoint! or similar)
-        if (content.includes('ziskos::entrypoint!') || 
-            content.includes('ziskos') || 
-            content.includes('zisk')) {
-          return mainFile;
-        }
-      } catch (error) {
-        console.warn(`Could not read ${mainFile}: ${error.message}`);
+async function inputCasesCommand(options) {
+  try {
+    const validatedOptions = validateInputPaths(options);
+    const manifestPath = validatedOptions.manifest || await InputManifest.discover(process.cwd());
+    if (!manifestPath) {
+      throw new Error('No input manifest found (zisk-inputs.yaml)');
+    }
+    
+    const manifest = await InputManifest.load(manifestPath);
+    const cases = options.tag ? manifest.select({ tags: options.tag }) : manifest.cases;
+    
+    console.log(chalk.blue(`Input manifest: ${path.relative(process.cwd(), manifestPath)}\n`));
+    
+    for (const testCase of cases) {
+      const details = [
+        testCase.tags.length > 0 ? `tags: ${testCase.tags.join(', ')}` : null,
+        testCase.maxSteps ? `max steps: ${testCase.maxSteps}` : null,
+        testCase.expected ? 'expected outputs' : null,
+        testCase.skip ? 'skipped by default' : null
+      ].filter(Boolean);
+      
+      console.log(`${chalk.green(testCase.name)}  ${testCase.input}${details.length > 0 ? chalk.gray(`  (${details.join('; ')})`) : ''}`);
+      if (testCase.description) {
+        console.log(chalk.gray(`  ${testCase.description}`));
       }
     }
+    
+    console.log(`\n${cases.length} case(s)`);
+    
+    return cases;
+    
+  } catch (error) {
+    console.error(chalk.red('Listing input cases failed:'), error.message);
+    await errorHandler.handleError(error, { name: 'input cases' }, options);
+    throw error;
   }
-  
-  return null;
 }
 
 /**
- * Check if current directory is an existing ZisK project
+ * Show hexdump, ZISK header and detected format of an input file
  */
-async function checkExistingZiskProject(targetDir) {
-  const cargoTomlPath = path.join(targetDir, 'Cargo.toml');
+async function inputInspectCommand(file, options) {
+  try {
+    const info = await converter.inspectInput(file);
+    const length = options.all ? info.buffer.length : validateNumber(options.length || 256, 1, Number.MAX_SAFE_INTEGER, 'length');
+    
+    console.log(chalk.blue(`Input: ${info.inputPath}\n`));
+    console.log(`Size: ${info.size} bytes`);
+    console.log(`Detected format: ${info.format}`);
+    
+    if (info.header) {
+      console.log(chalk.blue('\nZISK header:'));
+      console.log(`  Magic: ${info.header.magic}`);
+      console.log(`  Version: ${info.header.version}`);
+      console.log(`  Data length: ${info.header.dataLength} bytes`);
+      if (info.headerValid) {
+        console.log(chalk.green('  Length matches file size'));
+      } else {
+        console.log(chalk.red(`  Length mismatch: file has ${info.size - info.header.headerSize} data bytes, so it is read as raw data`));
+      }
+    } else {
+      console.log('ZISK header: none (raw layout)');
+    }
+    
+    console.log(chalk.blue('\nHexdump:'));
+    console.log(formatHexdump(info.buffer.subarray(0, length)));
+    if (length < info.buffer.length) {
+      console.log(chalk.gray(`... ${info.buffer.length - length} more byte(s), use --all to show everything`));
+    }
+    
+    // The bytes shown as hex rather than whole buffers
+    return {
+      inputPath: info.inputPath,
+      size: info.size,
+      header: info.header,
+      headerValid: info.headerValid,
+      format: info.format,
+      dataSize: info.data.length,
+      hex: info.buffer.subarray(0, length).toString('hex')
+    };
+    
+  } catch (error) {
+    console.error(chalk.red('Input inspection failed:'), error.message);
+    await errorHandler.handleError(error, { name: 'input inspect' }, options);
+    throw error;
+  }
+}
+
+/**
+ * Validate input files with their format's converter
+ */
+async function inputValidateCommand(files, options) {
+  try {
+    const results = [];
+    const config = await loadProjectConfig(process.cwd());
+    const conversionOptions = getConversionOptions(options, config);
+    
+    for (const file of files) {
+      try {
+        await converter.validateInput(file, conversionOptions);
+        results.push({ file, valid: true });
+        console.log(chalk.green(`[OK] ${file}`));
+      } catch (error) {
+        results.push({ file, valid: false, error: error.message });
+        console.log(chalk.red(`[INVALID] ${file}: ${error.message}`));
+      }
+    }
+    
+    const invalid = results.filter(r => !r.valid).length;
+    console.log(`\nValidated ${results.length} file(s), ${invalid} invalid`);
+    
+    if (invalid > 0) {
+      throw new ValidationError(`${invalid} input file(s) failed validation`);
+    }
+    
+    return results;
+    
+  } catch (error) {
+    console.error(chalk.red('Input validation failed:'), error.message);
+    await errorHandler.handleError(error, { name: 'input validate' }, options);
+    throw error;
+  }
+}
+
+/**
+ * Compare two binary input files byte by byte
+ */
+async function inputDiffCommand(fileA, fileB, options) {
+  try {
+    const infoA = await converter.inspectInput(fileA);
+    const infoB = await converter.inspectInput(fileB);
+    
+    // --payload compares data after any ZISK header
+    const a = options.payload ? infoA.data : infoA.buffer;
+    const b = options.payload ? infoB.data : infoB.buffer;
+    const diff = diffBuffers(a, b);
+    
+    console.log(chalk.blue(`Comparing ${fileA} (${a.length} bytes, ${infoA.format}) with ${fileB} (${b.length} bytes, ${infoB.format})\n`));
+    
+    if (diff.identical) {
+      console.log(chalk.green('Files are identical'));
+      return diff;
+    }
+    
+    if (a.length !== b.length) {
+      console.log(chalk.yellow(`Size differs: ${a.length} vs ${b.length} bytes`));
+    }
+    console.log(chalk.yellow(`${diff.changedBytes} byte(s) differ, first difference at offset 0x${diff.firstOffset.toString(16)}`));
+    
+    const maxRows = validateNumber(options.rows || 16, 1, 10000, 'rows');
+    for (const row of diff.rows.slice(0, maxRows)) {
+      console.log(`\n${chalk.red('-')} ${formatHexdump(a.subarray(row, row + 16), row)}`);
+      console.log(`${chalk.green('+')} ${formatHexdump(b.subarray(row, row + 16), row)}`);
+    }
+    if (diff.rows.length > maxRows) {
+      console.log(chalk.gray(`\n... ${diff.rows.length - maxRows} more differing row(s)`));
+    }
+    
+    return diff;
+    
+  } catch (error) {
+    console.error(chalk.red('Input diff failed:'), error.message);
+    await errorHandler.handleError(error, { name: 'input diff' }, options);
+    throw error;
+  }
+}
+
+// Helper functions
+/**
+ * Load project configuration from .zisk-env file
+ */
+async function loadProjectConfig(targetDir) {
+  return configManager.loadProjectSettings(targetDir);
+}
+
+/**
+ * Get project name from configuration or fallback sources
+ */
+async function getProjectName(targetDir) {
+  // First, try to read from .zisk-env
+  const config = await loadProjectConfig(targetDir);
+  if (config && config.PROJECT_NAME) {
+    return config.PROJECT_NAME;
+  }
+  
+  // Fallback to Cargo.toml
+  const cargoTomlPath = path.join(targetDir, 'Cargo.toml');
+  if (fs.existsSync(cargoTomlPath)) {
+    try {
+      const cargoContent = await fs.readFile(cargoTomlPath, 'utf8');
+      const nameMatch = cargoContent.match(/name\s*=\s*"([^"]+)"/);
+      if (nameMatch) {
+        return nameMatch[1];
+      }
+    } catch (error) {
+      console.warn('Could not read Cargo.toml for project name');
+    }
+  }
+  
+  // Fallback to directory name
+  const dirName = path.basename(targetDir);
+  if (dirName && dirName !== '.') {
+    return dirName;
+  }
+  
+  // Final fallback
+  return 'zisk-project';
+}
+
+/**
+ * Extract project name from various sources (legacy function)
+ */
+async function extractProjectName(targetDir) {
+  return await getProjectName(targetDir);
+}
+
+/**
+ * Detect the main program file in an existing project
+ */
+async function detectMainProgramFile(targetDir) {
+  const possibleMainFiles = [
+    'src/main.rs',
+    'src/lib.rs',
+    'main.rs',
+    'lib.rs'
+  ];
+  
+  for (const mainFile of possibleMainFiles) {
+    const fullPath = path.join(targetDir, mainFile);
+    if (fs.existsSync(fullPath)) {
+      try {
+        const content = await fs.readFile(fullPath, 'utf8');
+        // Check if it's a ZisK program (has ziskos::entrypoint! or similar)
+        if (content.includes('ziskos::entrypoint!') || 
+            content.includes('ziskos') || 
+            content.includes('zisk')) {
+          return mainFile;
+        }
+      } catch (error) {
+        console.warn(`Could not read ${mainFile}: ${error.message}`);
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check if current directory is an existing ZisK project
+ */
+async function checkExistingZiskProject(targetDir) {
+  const cargoTomlPath = path.join(targetDir, 'Cargo.toml');
   
   if (!fs.existsSync(cargoTomlPath)) {
     return false;
@@ -1581,7 +2185,7 @@ async function createNewZiskProject(targetDir, projectName, options) {
   // Check if cargo-zisk is installed
   let useCargoZisk = false;
   try {
-    await executor.executeCommand('cargo-zisk', ['--version'], { cwd: targetDir });
+    await executor.executeCommand('cargo-zisk', ['--version'], { cwd: targetDir, logFile: false });
     useCargoZisk = true;
   } catch (error) {
     console.log('cargo-zisk not found, creating basic ZisK project structure...');
@@ -1592,7 +2196,7 @@ async function createNewZiskProject(targetDir, projectName, options) {
   if (useCargoZisk) {
     // Create new project using cargo-zisk sdk new
     console.log(`Creating new ZisK project: ${projectName}`);
-    await executor.executeCommand('cargo-zisk', ['sdk', 'new', projectName], { cwd: targetDir });
+    await executor.executeCommand('cargo-zisk', ['sdk', 'new', projectName], { cwd: targetDir, logFile: false });
     
     // Move into the created project directory
     projectDir = path.join(targetDir, projectName);
@@ -1800,6 +2404,8 @@ INPUT_DEFAULT_FORMAT=json
 INPUT_AUTO_CONVERT=true
 INPUT_CUSTOM_NAMES=true
 INPUT_DEFAULT_FILE=input.bin
+# raw: bytes exactly as ziskos::read_input() returns them; framed: prefixed with a 16-byte ZISK header
+INPUT_FORMAT=raw
 
 # Output Configuration
 OUTPUT_SAVE_PROOFS=true
@@ -2016,7 +2622,20 @@ async function getExpectedElfPath(profile, projectName = null) {
   return `target/${buildTarget}/${targetDir}/${finalProjectName}`;
 }
 
+/**
+ * Run cargo-zisk rom-setup for an ELF, unless the recorded setup for the same ELF content and
+ * proving key is still current (options.forceSetup runs it anyway)
+ */
 async function setupROM(elfPath, options) {
+  const provingKey = options.provingKey ? path.resolve(options.provingKey) : null;
+  const romSetups = new RomSetupStore();
+  const status = await romSetups.getStatus(elfPath, provingKey);
+  
+  if (status.current && !options.forceSetup) {
+    printAboveSpinner(chalk.gray('ROM setup is current for this ELF, skipping'));
+    return { skipped: true, elfHash: status.elfHash, provingKey, duration: 0 };
+  }
+  
   // Setup ROM using cargo-zisk rom-setup
   const setupArgs = ['-e', elfPath];
   
@@ -2024,9 +2643,16 @@ async function setupROM(elfPath, options) {
     setupArgs.push('-k', options.provingKey);
   }
   
-  await executor.executeCargoZisk('rom-setup', setupArgs, {
-    cwd: process.cwd()
-  });
+  const result = await progress.runPhase('rom-setup', 'Setting up ROM...', outputOptions =>
+    executor.executeCargoZisk('rom-setup', setupArgs, {
+      cwd: process.cwd(),
+      quiet: options.quiet,
+      ...outputOptions
+    })
+  );
+  
+  await romSetups.record(elfPath, status.elfHash, provingKey, result.duration);
+  return { skipped: false, elfHash: status.elfHash, provingKey, duration: result.duration };
 }
 
 async function executeSingleInput(input, elfPath, options) {
@@ -2036,8 +2662,8 @@ async function executeSingleInput(input, elfPath, options) {
   // Execute single input using ziskemu
   const ziskemuArgs = ['-e', elfPath, '-i', input.outputPath];
   
-  // Use maxSteps from .zisk-env if not provided via options
-  const maxSteps = options.maxSteps || config?.EXECUTION_MAX_STEPS;
+  // Use maxSteps from the manifest case or .zisk-env if not provided via options
+  const maxSteps = getMaxSteps(input, options, config);
   if (maxSteps) {
     // Security: Validate maxSteps range
     const validatedMaxSteps = validateNumber(maxSteps, 1, 1000000000, 'maxSteps');
@@ -2052,13 +2678,21 @@ async function executeSingleInput(input, elfPath, options) {
     ziskemuArgs.push('-x');
   }
   
-  const result = await executor.executeZiskemu(ziskemuArgs, {
-    cwd: process.cwd()
-  });
+  const result = await progress.runPhase('execute', `Executing ${input.name}...`, outputOptions =>
+    executor.executeZiskemu(ziskemuArgs, {
+      cwd: process.cwd(),
+      quiet: options.quiet,
+      ...outputOptions
+    }),
+  { input: input.inputPath });
   
   return {
     input: input.inputPath,
+    binary: input.outputPath,
+    case: input.case ? input.case.name : null,
     output: result.stdout,
+    outputs: parsePublicOutputs(result.stdout),
+    exitCode: result.exitCode,
     duration: result.duration
   };
 }
@@ -2066,40 +2700,54 @@ async function executeSingleInput(input, elfPath, options) {
 async function generateProofs(inputs, elfPath, options) {
   const results = [];
   
+  for (const input of inputs) {
+    results.push(await proveSingleInput(input, elfPath, options, inputs.length));
+  }
+  
+  return results;
+}
+
+/**
+ * Prove one input; inputCount decides whether proofs go to a per-input subdirectory
+ */
+async function proveSingleInput(input, elfPath, options, inputCount = 1) {
   // Load configuration from .zisk-env file
   const config = await loadProjectConfig(process.cwd());
   
-  for (const input of inputs) {
-    const proveArgs = ['-e', elfPath, '-i', input.outputPath];
-    
-    // Use OUTPUT_DIRECTORY from .zisk-env if not provided
-    const outputDir = options.output || config?.OUTPUT_DIRECTORY || './proofs';
-    proveArgs.push('-o', outputDir);
-    
-    if (options.aggregate) {
-      proveArgs.push('-a');
-    }
-    
-    if (options.verify) {
-      proveArgs.push('-y');
-    }
-    
-    const result = await executor.executeCargoZisk('prove', proveArgs, {
-      cwd: process.cwd()
-    });
-    
-    // Save detailed proof generation output to log file
-    await saveProofGenerationLog(result, input.inputPath, 'run');
-    
-    results.push({
-      input: input.inputPath,
-      proof: result.stdout,
-      duration: result.duration,
-      outputDir
-    });
+  const proveArgs = ['-e', elfPath, '-i', input.outputPath];
+  
+  const outputDir = getProofOutputDir(getProofBaseDir(options, config), input, inputCount);
+  await fs.ensureDir(outputDir);
+  proveArgs.push('-o', outputDir);
+  
+  if (options.aggregate) {
+    proveArgs.push('-a');
   }
   
-  return results;
+  if (options.verify) {
+    proveArgs.push('-y');
+  }
+  
+  const result = await progress.runPhase('prove', `Proving ${input.name}...`, outputOptions =>
+    executor.executeCargoZisk('prove', proveArgs, {
+      cwd: process.cwd(),
+      quiet: options.quiet,
+      ...outputOptions
+    }),
+  { input: input.inputPath });
+  
+  // Save detailed proof generation output to log file
+  await saveProofGenerationLog(result, input.inputPath, 'run');
+  
+  return {
+    input: input.inputPath,
+    binary: input.outputPath,
+    case: input.case ? input.case.name : null,
+    proof: result.stdout,
+    exitCode: result.exitCode,
+    duration: result.duration,
+    outputDir
+  };
 }
 
 function displayPipelineResults(results) {
@@ -2113,17 +2761,21 @@ function displayPipelineResults(results) {
   console.log(`\nExecution:`);
   console.log(`  Processed ${results.execution.length} input(s)`);
   results.execution.forEach((result, index) => {
-    console.log(`  Input ${index + 1}: ${result.input}`);
-    console.log(`  Duration: ${result.duration}ms`);
+    console.log(`  Input ${index + 1}: ${formatInputLabel(result)}`);
+    if (result.binary && result.binary !== result.input) {
+      console.log(`  Binary: ${result.binary}`);
+    }
+    console.log(`  Duration: ${result.duration}ms${result.resumed ? ' (earlier attempt)' : ''}`);
+    displayPublicOutputs(result, '  ');
   });
   
   if (results.proofs.length > 0) {
     console.log(`\nProofs:`);
     console.log(`  Generated ${results.proofs.length} proof(s)`);
     results.proofs.forEach((result, index) => {
-      console.log(`  Proof ${index + 1}: ${result.input}`);
+      console.log(`  Proof ${index + 1}: ${formatInputLabel(result)}`);
       console.log(`  Output: ${result.outputDir}`);
-      console.log(`  Duration: ${result.duration}ms`);
+      console.log(`  Duration: ${result.duration}ms${result.resumed ? ' (earlier attempt)' : ''}`);
     });
   }
 }
@@ -2132,13 +2784,22 @@ async function getInputFiles(options) {
   const inputDir = 'inputs';
   const inputPath = options.input;
   
+  // Cases from the input manifest: the ones picked by --case/--tag, or all cases of --manifest
+  if (options.case || options.tag || options.manifest) {
+    return await getManifestCases(options);
+  }
+  
   if (inputPath) {
     return [inputPath];
   }
   
   if (options.inputs) {
-    const matches = glob.sync(options.inputs);
-    return await applyGlobLimits(matches);
+    // A directory (such as a generated input set) means every input file in it
+    const pattern = fs.existsSync(options.inputs) && fs.statSync(options.inputs).isDirectory()
+      ? path.join(options.inputs, '*')
+      : options.inputs;
+    const matches = glob.sync(pattern, { nodir: true }).filter(file => !InputSchema.isSchemaFile(file));
+    return await applyGlobLimits(matches, options);
   }
   
   // Load configuration from .zisk-env file
@@ -2173,27 +2834,51 @@ async function getInputFiles(options) {
     return [inputsInputPath];
   }
   
-  // Fallback: get all input files from inputs directory
+  // Fallback: get all input files from inputs directory (schema files describe inputs, they aren't inputs)
   if (fs.existsSync(inputDir)) {
-    const matches = glob.sync(`${inputDir}/*`);
-    return await applyGlobLimits(matches);
+    const matches = glob.sync(`${inputDir}/*`, { nodir: true }).filter(file => !InputSchema.isSchemaFile(file));
+    return await applyGlobLimits(matches, options);
   }
   
   return [];
 }
 
+/**
+ * Load the input manifest (--manifest or zisk-inputs.yaml) and select cases by --case/--tag
+ */
+async function getManifestCases(options) {
+  const manifestPath = options.manifest || await InputManifest.discover(process.cwd());
+  if (!manifestPath) {
+    throw new Error('Selecting cases requires an input manifest (zisk-inputs.yaml) in the project root or --manifest <file>');
+  }
+  
+  const manifest = await InputManifest.load(manifestPath);
+  const cases = manifest.select({
+    cases: [].concat(options.case || []),
+    tags: [].concat(options.tag || [])
+  });
+  
+  if (cases.length === 0) {
+    throw new Error(`No cases selected from ${manifestPath}`);
+  }
+  
+  return cases;
+}
+
 /**
  * Apply glob limits and file size checks
  * @param {Array} inputs - Input file patterns/paths
+ * @param {Object} options - Command options, used to tell which inputs are streamed
  * @returns {Array} Filtered and validated input files
  */
-async function applyGlobLimits(inputs) {
+async function applyGlobLimits(inputs, options = {}) {
   const fs = require('fs-extra');
   const path = require('path');
   
   const MAX_GLOB_MATCHES = 1000;
   const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
   const validInputs = [];
+  const conversionOptions = getConversionOptions(options, await loadProjectConfig(process.cwd()));
   
   for (const input of inputs) {
     try {
@@ -2211,7 +2896,7 @@ async function applyGlobLimits(inputs) {
           const fullPath = path.resolve(process.cwd(), match);
           if (fs.existsSync(fullPath)) {
             const stats = fs.statSync(fullPath);
-            if (stats.isFile() && stats.size > MAX_FILE_SIZE) {
+            if (stats.isFile() && stats.size > MAX_FILE_SIZE && !(await isStreamable(match, conversionOptions))) {
               console.warn(`Skipping large file: ${match} (${Math.round(stats.size / 1024 / 1024)}MB)`);
               continue;
             }
@@ -2223,7 +2908,7 @@ async function applyGlobLimits(inputs) {
         const fullPath = path.resolve(process.cwd(), input);
         if (fs.existsSync(fullPath)) {
           const stats = fs.statSync(fullPath);
-          if (stats.isFile() && stats.size > MAX_FILE_SIZE) {
+          if (stats.isFile() && stats.size > MAX_FILE_SIZE && !(await isStreamable(input, conversionOptions))) {
             throw new Error(`File too large: ${input} (${Math.round(stats.size / 1024 / 1024)}MB, max: ${Math.round(MAX_FILE_SIZE / 1024 / 1024)}MB)`);
           }
           validInputs.push(input);
@@ -2240,29 +2925,76 @@ async function applyGlobLimits(inputs) {
   return validInputs;
 }
 
+/**
+ * Streamed inputs are converted incrementally, so the size cap doesn't apply to them
+ */
+async function isStreamable(file, conversionOptions) {
+  try {
+    return await converter.willStream(file, conversionOptions);
+  } catch (error) {
+    // Unreadable inputs or schemas are reported by the conversion itself
+    return false;
+  }
+}
+
+/**
+ * Merge conversion options with INPUT_SCHEMA, INPUT_FORMAT and CSV_* settings from .zisk-env
+ */
+function getConversionOptions(options, config) {
+  const delimiter = options.delimiter || config?.CSV_DELIMITER || ',';
+  
+  return {
+    ...options,
+    schema: options.schema || config?.INPUT_SCHEMA || undefined,
+    inputFormat: options.inputFormat || config?.INPUT_FORMAT || 'raw',
+    csv: {
+      delimiter: ['\\t', 'tab'].includes(delimiter) ? '\t' : delimiter,
+      header: !(options.headerless || config?.CSV_HEADER === 'false'),
+      columns: options.columns || config?.CSV_COLUMNS || undefined
+    }
+  };
+}
+
+/**
+ * Convert inputs to their own binary files
+ * Each result maps the source input to the binary passed to the program and a unique
+ * name used for per-input proof directories. Inputs are file paths or manifest cases
+ */
 async function convertInputs(inputFiles, options) {
   const results = [];
+  const usedNames = new Set();
   
   // Load configuration from .zisk-env file
   const config = await loadProjectConfig(process.cwd());
-  const defaultInputFile = config?.INPUT_DEFAULT_FILE || 'input.bin';
   
-  for (const inputFile of inputFiles) {
+  for (const entry of inputFiles) {
+    // Manifest cases bring their own name and conversion options; command-line flags win
+    const testCase = typeof entry === 'string' ? null : entry;
+    const inputFile = testCase ? testCase.input : entry;
+    const conversionOptions = getConversionOptions(testCase ? { ...testCase.options, ...getDefinedOptions(options) } : options, config);
     const ext = path.extname(inputFile).toLowerCase();
+    const name = testCase ? testCase.name : getInputName(inputFile, usedNames);
+    usedNames.add(name);
     
-    if (ext === '.bin') {
-      // Binary files don't need conversion
+    if (ext === '.bin' && await converter.matchesInputFormat(inputFile, conversionOptions.inputFormat)) {
+      // Binary files already in the requested layout don't need conversion
       results.push({
         inputPath: inputFile,
-        outputPath: inputFile
+        outputPath: inputFile,
+        name,
+        case: testCase
       });
     } else {
-      // Convert to binary format, use the default input file name from config
-      const outputPath = path.join('build', defaultInputFile);
-      await converter.convertInput(inputFile, outputPath, options);
+      // Name plus content hash, so inputs never overwrite each other; the source is hashed
+      // once for both the name and the conversion cache
+      const preparedOptions = await converter.prepareConversion(inputFile, conversionOptions);
+      const outputPath = await converter.getConvertedOutputPath(inputFile, path.join('build', 'inputs'), preparedOptions);
+      await converter.convertInput(inputFile, outputPath, preparedOptions);
       results.push({
         inputPath: inputFile,
-        outputPath: outputPath
+        outputPath,
+        name,
+        case: testCase
       });
     }
   }
@@ -2270,26 +3002,275 @@ async function convertInputs(inputFiles, options) {
   return results;
 }
 
+/**
+ * Decode each result's public outputs with the output schema (--output-schema,
+ * OUTPUT_SCHEMA in .zisk-env or output-schema.yaml in the project root), if any.
+ * A result whose outputs don't fit the schema gets a decodeError instead
+ */
+async function decodePublicOutputs(results, options) {
+  const config = await loadProjectConfig(process.cwd());
+  const schemaPath = options.outputSchema || config?.OUTPUT_SCHEMA || await OutputSchema.discover(process.cwd());
+  
+  if (!schemaPath) {
+    return null;
+  }
+  
+  const outputSchema = await OutputSchema.load(schemaPath);
+  for (const result of results) {
+    try {
+      result.decodedOutputs = outputSchema.decode(result.outputs);
+    } catch (error) {
+      result.decodeError = error.message;
+    }
+  }
+  
+  return outputSchema;
+}
+
+/**
+ * Compare each execution result's public outputs with its expectation, or record them
+ * as the new golden outputs with --update-golden
+ */
+async function checkGoldenOutputs(inputs, results, options) {
+  const config = await loadProjectConfig(process.cwd());
+  const golden = new GoldenStore(options.goldenDir || config?.GOLDEN_DIRECTORY);
+  const checks = [];
+  
+  // Two inputs sharing a golden file would overwrite or fail each other's check
+  const keys = new Map();
+  for (const input of inputs) {
+    const key = golden.getKey(input);
+    if (keys.has(key)) {
+      throw new ValidationError(`Inputs ${keys.get(key)} and ${input.inputPath} share the golden file ${golden.getPath(key)}; rename one or list them as manifest cases`);
+    }
+    keys.set(key, input.inputPath);
+  }
+  
+  for (let i = 0; i < inputs.length; i++) {
+    const outputs = results[i].outputs || parsePublicOutputs(results[i].output);
+    const check = options.updateGolden
+      ? await golden.update(inputs[i], outputs)
+      : await golden.check(inputs[i], outputs);
+    
+    results[i].golden = check;
+    checks.push({ ...check, input: inputs[i].inputPath, outputs });
+  }
+  
+  return checks;
+}
+
+/**
+ * Fail when an output differs from its golden file or has no expectation
+ */
+function assertGoldenResults(checks) {
+  const failed = checks.filter(check => check.status === 'fail' || check.status === 'missing');
+  
+  if (failed.length > 0) {
+    throw new ValidationError(`${failed.length} of ${checks.length} input(s) did not match their expected outputs`);
+  }
+}
+
+/**
+ * Options that were actually set, so unset flags don't override manifest case options
+ */
+function getDefinedOptions(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Maximum steps for an input: --max-steps, then the manifest case, then EXECUTION_MAX_STEPS
+ */
+function getMaxSteps(input, options, config) {
+  return options.maxSteps || input.case?.maxSteps || config?.EXECUTION_MAX_STEPS;
+}
+
+/**
+ * Label for an input in results: the source path, plus the manifest case name
+ */
+function formatInputLabel(result) {
+  return result.case ? `${result.input} (case: ${result.case})` : result.input;
+}
+
+/**
+ * Unique, readable name for an input (file name, plus extension or parent directory on clashes)
+ */
+function getInputName(inputFile, usedNames) {
+  const ext = path.extname(inputFile);
+  const candidates = [
+    path.basename(inputFile, ext),
+    path.basename(inputFile).replace(/\./g, '_'),
+    `${path.basename(path.dirname(inputFile))}_${path.basename(inputFile).replace(/\./g, '_')}`
+  ];
+  
+  let name = candidates.find(candidate => !usedNames.has(candidate));
+  for (let i = 2; !name; i++) {
+    if (!usedNames.has(`${candidates[0]}_${i}`)) {
+      name = `${candidates[0]}_${i}`;
+    }
+  }
+  
+  usedNames.add(name);
+  return name;
+}
+
+/**
+ * Base proof directory: --output, else OUTPUT_DIRECTORY from .zisk-env, else ./proofs
+ */
+function getProofBaseDir(options, config) {
+  return options.output || config?.OUTPUT_DIRECTORY || './proofs';
+}
+
+/**
+ * Proof output directory: one subdirectory per input when proving several inputs
+ */
+function getProofOutputDir(baseDir, input, inputCount) {
+  return inputCount > 1 ? path.join(baseDir, input.name) : baseDir;
+}
+
+/**
+ * Format buffer as hexdump rows: offset, 16 hex bytes, ASCII
+ */
+function formatHexdump(buffer, baseOffset = 0) {
+  const rows = [];
+  
+  for (let offset = 0; offset < buffer.length; offset += 16) {
+    const chunk = buffer.subarray(offset, offset + 16);
+    const hex = Array.from(chunk, byte => byte.toString(16).padStart(2, '0')).join(' ');
+    const ascii = Array.from(chunk, byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    rows.push(`${(baseOffset + offset).toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  |${ascii}|`);
+  }
+  
+  return rows.length > 0 ? rows.join('\n') : '(empty)';
+}
+
+/**
+ * Byte-level diff, grouped into 16-byte rows
+ */
+function diffBuffers(a, b) {
+  const length = Math.max(a.length, b.length);
+  const rows = new Set();
+  let changedBytes = 0;
+  let firstOffset = -1;
+  
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) {
+      changedBytes++;
+      rows.add(i - (i % 16));
+      if (firstOffset === -1) {
+        firstOffset = i;
+      }
+    }
+  }
+  
+  return {
+    identical: changedBytes === 0,
+    changedBytes,
+    firstOffset,
+    rows: Array.from(rows)
+  };
+}
+
 function displayExecutionResults(results) {
   console.log(`Execution completed successfully`);
   console.log(`Processed ${results.length} input(s)`);
   
   results.forEach((result, index) => {
-    console.log(`\nInput ${index + 1}: ${result.input}`);
+    console.log(`\nInput ${index + 1}: ${formatInputLabel(result)}`);
+    if (result.binary && result.binary !== result.input) {
+      console.log(`Binary: ${result.binary}`);
+    }
     console.log(`Duration: ${result.duration}ms`);
-    if (result.output) {
+    if (result.outputs && result.outputs.length > 0) {
+      displayPublicOutputs(result);
+    } else if (result.output) {
       console.log(`Output: ${result.output}`);
     }
   });
 }
 
+/**
+ * Show public output slots and, with an output schema, their decoded value
+ */
+function displayPublicOutputs(result, indent = '') {
+  if (!result.outputs || result.outputs.length === 0) {
+    return;
+  }
+  
+  console.log(`${indent}Public outputs: ${result.outputs.map(formatOutputValue).join(' ')}`);
+  
+  if (result.decodedOutputs !== undefined) {
+    const decoded = typeof result.decodedOutputs === 'object' && result.decodedOutputs !== null
+      ? JSON.stringify(result.decodedOutputs, null, 2).replace(/\n/g, `\n${indent}`)
+      : String(result.decodedOutputs);
+    console.log(`${indent}Decoded: ${decoded}`);
+  } else if (result.decodeError) {
+    console.log(chalk.yellow(`${indent}Could not decode public outputs: ${result.decodeError}`));
+  }
+}
+
+function displayGoldenResults(checks) {
+  console.log('\nGolden outputs:');
+  
+  for (const check of checks) {
+    switch (check.status) {
+      case 'pass':
+        console.log(chalk.green(`  [PASS] ${check.name}`));
+        break;
+      case 'missing':
+        console.log(chalk.red(`  [MISSING] ${check.name}: no expected outputs in ${check.source}, run with --update-golden`));
+        break;
+      case 'updated':
+        console.log(chalk.yellow(`  [UPDATED] ${check.name}: ${check.source} (${check.outputs.length} output(s))`));
+        break;
+      case 'unchanged':
+        console.log(chalk.gray(`  [UNCHANGED] ${check.name}`));
+        break;
+      case 'manifest':
+        console.log(chalk.yellow(`  [SKIPPED] ${check.name}: outputs differ from the expected outputs in the input manifest, update them there`));
+        break;
+      default:
+        console.log(chalk.red(`  [FAIL] ${check.name} (expected outputs from ${check.source})`));
+        for (const line of describeGoldenCheck(check)) {
+          console.log(chalk.red(`    ${line}`));
+        }
+    }
+  }
+  
+  const passed = checks.filter(check => check.status === 'pass').length;
+  const updated = checks.filter(check => check.status === 'updated').length;
+  console.log(`\n${checks.length} input(s): ${passed} passed${updated > 0 ? `, ${updated} updated` : ''}`);
+}
+
+/**
+ * Lines explaining a golden check that didn't pass
+ */
+function describeGoldenCheck(check) {
+  if (check.status === 'missing') {
+    return [`No expected outputs in ${check.source}, run with --update-golden`];
+  }
+  if (check.status !== 'fail') {
+    return [];
+  }
+  
+  const lines = [];
+  for (const diff of check.differences.slice(0, 8)) {
+    const expected = diff.expected === null ? '(none)' : formatOutputValue(diff.expected);
+    const actual = diff.actual === null ? '(none)' : formatOutputValue(diff.actual);
+    lines.push(`slot ${diff.index}: expected ${expected}, got ${actual}`);
+  }
+  if (check.differences.length > 8) {
+    lines.push(`... ${check.differences.length - 8} more differing slot(s)`);
+  }
+  return lines;
+}
+
 function displayProofResults(results) {
   console.log(`Proof generation completed successfully`);
   console.log(`Generated ${results.length} proof(s)`);
   
   results.forEach((result, index) => {
     console.log(`\nProof ${index + 1}:`);
-    console.log(`  Input: ${result.input}`);
+    console.log(`  Input: ${formatInputLabel(result)}`);
     console.log(`  Output Directory: ${result.outputDir}`);
     console.log(`  Duration: ${result.duration}ms`);
   });
@@ -2326,6 +3307,9 @@ function displayVerificationResults(results) {
   results.forEach((result, index) => {
     const status = result.verified ? 'PASSED' : 'FAILED';
     console.log(`Proof ${index + 1}: ${result.proof} - ${status}`);
+    if (result.error) {
+      console.log(chalk.red(`  ${result.error}`));
+    }
   });
 }
 
@@ -2392,19 +3376,29 @@ function displayLogs(logStats, options) {
 }
 
 async function clearCache() {
-  // Implementation for clearing cache
+  await converter.cache.clear();
 }
 
 async function getCacheInfo() {
-  // Implementation for getting cache info
+  return {
+    conversions: await converter.cache.getInfo()
+  };
 }
 
 function displayCacheInfo(cacheInfo) {
-  // Implementation for displaying cache info
+  const { conversions } = cacheInfo;
+  
+  console.log(chalk.blue('Conversion cache:'));
+  console.log(`  Directory: ${conversions.directory}`);
+  console.log(`  Entries: ${conversions.entries}`);
+  console.log(`  Size: ${conversions.size} bytes`);
+  console.log(`  Hits: ${conversions.hits}`);
+  console.log(`  Misses: ${conversions.misses}`);
+  console.log(`  Hit rate: ${(conversions.hitRate * 100).toFixed(1)}%`);
 }
 
 async function cleanupCache() {
-  // Implementation for cache cleanup
+  return await converter.cache.cleanup();
 }
 
 class ZiskInstaller {
@@ -2441,16 +3435,317 @@ async function resetConfiguration() {
   // Implementation for resetting configuration
 }
 
-async function runUnitTests() {
-  // Implementation for unit tests
+/**
+ * Run the project's Rust tests on the host with cargo test (cargo llvm-cov with --coverage)
+ * One result per test reported by cargo, or one failed result if it didn't get that far
+ */
+async function runUnitTests(options, spinner) {
+  spinner.text = options.coverage ? 'Running cargo llvm-cov...' : 'Running cargo test...';
+  
+  const args = options.coverage
+    ? ['llvm-cov', '--lcov', '--output-path', path.join('coverage', 'lcov.info')]
+    : ['test'];
+  if (options.coverage) {
+    await fs.ensureDir('coverage');
+  }
+  
+  const startTime = Date.now();
+  let output;
+  let failure = null;
+  
+  try {
+    const result = await executor.executeCommand('cargo', args, { cwd: process.cwd(), quiet: true });
+    output = [result.stdout, result.stderr].filter(Boolean).join('\n');
+  } catch (error) {
+    failure = error;
+    output = getCapturedOutput(error) || '';
+  }
+  
+  const results = parseCargoTestOutput(output);
+  
+  if (failure && !results.some(result => result.status === 'fail')) {
+    // Compilation errors, a missing llvm-cov, ...: no individual test to blame
+    const message = /no such (sub)?command:? .*llvm-cov/.test(output)
+      ? 'cargo llvm-cov is not installed (cargo install cargo-llvm-cov)'
+      : failure.message;
+    results.push({ suite: 'unit', name: `cargo ${args[0]}`, status: 'fail', duration: Date.now() - startTime, exitCode: failure.context?.result?.exitCode ?? null, message, output });
+  } else if (results.length === 0) {
+    results.push({ suite: 'unit', name: `cargo ${args[0]}`, status: 'pass', duration: Date.now() - startTime, message: 'no tests found', output });
+  }
+  
+  return results;
+}
+
+/**
+ * Per-test results from cargo test output ("test path::name ... ok|FAILED|ignored"),
+ * with the captured output of failed tests
+ */
+function parseCargoTestOutput(output) {
+  const results = [];
+  const byName = new Map();
+  
+  for (const match of output.matchAll(/^test (\S+) \.\.\. (ok|FAILED|ignored)\b.*$/gm)) {
+    const [, name, outcome] = match;
+    const result = {
+      suite: 'unit',
+      name,
+      status: outcome === 'ok' ? 'pass' : outcome === 'ignored' ? 'skip' : 'fail',
+      duration: null
+    };
+    results.push(result);
+    byName.set(name, result);
+  }
+  
+  // "---- name stdout ----" sections hold the output (and panic message) of failed tests
+  for (const match of output.matchAll(/^---- (\S+) stdout ----\n([\s\S]*?)(?=^---- |^failures:$)/gm)) {
+    const result = byName.get(match[1]);
+    if (result) {
+      result.output = match[2].trim();
+      // Recent Rust versions put the panic message on the line after "panicked at"
+      result.message = (match[2].match(/panicked at .*(\n(?!note:).+)?/) || ['test failed'])[0];
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Execute every input (or the selected manifest cases) with ziskemu and compare its public
+ * outputs with the expected outputs. One result per input
+ */
+async function runIntegrationTests(options, spinner) {
+  spinner.text = 'Building program...';
+  let buildResult;
+  try {
+    buildResult = await buildCommand(options);
+  } catch (error) {
+    return [{ suite: 'integration', name: 'build', status: 'fail', duration: null, message: error.message }];
+  }
+  
+  spinner.text = 'Converting inputs...';
+  const inputFiles = await getInputFiles(options);
+  if (inputFiles.length === 0) {
+    throw new ValidationError('No test inputs found');
+  }
+  const inputs = await convertInputs(inputFiles, options);
+  
+  const results = [];
+  for (const input of inputs) {
+    spinner.text = `Executing ${input.name}...`;
+    
+    let execution;
+    try {
+      execution = await executeSingleInput(input, buildResult.elfPath, { ...options, quiet: true });
+    } catch (error) {
+      results.push({
+        suite: 'integration',
+        name: input.name,
+        input: input.inputPath,
+        status: 'fail',
+        duration: error.context?.result?.duration ?? null,
+        exitCode: error.context?.result?.exitCode ?? null,
+        message: `Execution failed: ${error.message}`,
+        output: getCapturedOutput(error)
+      });
+      continue;
+    }
+    
+    const [check] = await checkGoldenOutputs([input], [execution], { ...options, expect: true });
+    results.push({
+      suite: 'integration',
+      name: input.name,
+      input: input.inputPath,
+      status: ['fail', 'missing'].includes(check.status) ? 'fail' : 'pass',
+      duration: execution.duration,
+      exitCode: execution.exitCode,
+      message: describeGoldenCheck(check).join('\n'),
+      output: execution.output
+    });
+  }
+  
+  return results;
+}
+
+/**
+ * Build, set up the ROM, then prove and verify a subset of inputs: those selected with
+ * --case/--tag/--input(s), else manifest cases tagged "e2e", else the first input.
+ * One result per input
+ */
+async function runE2ETests(options, spinner) {
+  spinner.text = 'Building program...';
+  let buildResult;
+  try {
+    buildResult = await buildCommand(options);
+    if (!options.skipSetup) {
+      spinner.text = 'Setting up ROM...';
+      await setupROM(buildResult.elfPath, { ...options, quiet: true });
+    }
+  } catch (error) {
+    return [{ suite: 'e2e', name: 'build', status: 'fail', duration: null, message: error.message }];
+  }
+  
+  const inputFiles = await getE2EInputFiles(options);
+  if (inputFiles.length === 0) {
+    throw new ValidationError('No test inputs found');
+  }
+  const inputs = await convertInputs(inputFiles, options);
+  
+  // Test proofs go to a scratch directory, not the project's proofs/
+  const baseOutputDir = path.join('.zisk-build', 'test', 'proofs');
+  const results = [];
+  
+  for (const input of inputs) {
+    const startTime = Date.now();
+    const outputDir = path.join(baseOutputDir, input.name);
+    
+    try {
+      spinner.text = `Proving ${input.name}...`;
+      await fs.remove(outputDir);
+      await generateProofs([input], buildResult.elfPath, { ...options, output: outputDir, quiet: true });
+      
+      const proofFiles = glob.sync(`${outputDir}/**/*.bin`);
+      if (proofFiles.length === 0) {
+        throw new Error(`No proof files written to ${outputDir}`);
+      }
+      
+      spinner.text = `Verifying ${input.name}...`;
+      for (const proofFile of proofFiles) {
+        const verification = await verifyProof(proofFile, { ...options, quiet: true });
+        if (!verification.verified) {
+          throw new Error(`Proof ${proofFile} did not verify`);
+        }
+      }
+      
+      results.push({
+        suite: 'e2e',
+        name: input.name,
+        input: input.inputPath,
+        status: 'pass',
+        duration: Date.now() - startTime,
+        message: `${proofFiles.length} proof(s) verified`
+      });
+    } catch (error) {
+      results.push({
+        suite: 'e2e',
+        name: input.name,
+        input: input.inputPath,
+        status: 'fail',
+        duration: Date.now() - startTime,
+        exitCode: error.context?.result?.exitCode ?? null,
+        message: error.message,
+        output: getCapturedOutput(error)
+      });
+    }
+  }
+  
+  return results;
 }
 
-async function runIntegrationTests() {
-  // Implementation for integration tests
+/**
+ * Inputs for end-to-end tests, which prove every input and are therefore slow
+ */
+async function getE2EInputFiles(options) {
+  if (options.case || options.tag || options.manifest || options.input || options.inputs) {
+    return await getInputFiles(options);
+  }
+  
+  const manifestPath = await InputManifest.discover(process.cwd());
+  if (manifestPath) {
+    const manifest = await InputManifest.load(manifestPath);
+    if (manifest.getTags().includes('e2e')) {
+      return manifest.select({ tags: ['e2e'] });
+    }
+  }
+  
+  return (await getInputFiles(options)).slice(0, 1);
 }
 
-async function runE2ETests() {
-  // Implementation for end-to-end tests
+/**
+ * Last lines of output of a failed command, from the ExecutionError raised by the executor
+ */
+function getCapturedOutput(error) {
+  const result = error.context?.result;
+  if (!result) {
+    return undefined;
+  }
+  if (result.tail) {
+    const lines = result.tail.join('\n');
+    return result.logFile ? `${lines}\n(full output: ${result.logFile})` : lines;
+  }
+  return [result.stdout, result.stderr].filter(Boolean).join('\n');
+}
+
+/**
+ * Report entry for a pipeline step that completed
+ */
+function passedReportCase(step, result, output) {
+  return { ...step, status: 'pass', duration: result.duration, exitCode: result.exitCode, output };
+}
+
+/**
+ * Report entry for a pipeline step skipped because a resumed run had already completed it
+ */
+function resumedReportCase(step, result) {
+  return {
+    ...step,
+    status: 'pass',
+    duration: result.duration,
+    exitCode: result.exitCode,
+    message: 'Completed in an earlier attempt of this run'
+  };
+}
+
+/**
+ * Report entry for a pipeline step that threw
+ */
+function failedReportCase(step, error) {
+  return {
+    ...step,
+    status: 'fail',
+    duration: error.context?.result?.duration ?? null,
+    exitCode: error.context?.result?.exitCode ?? null,
+    message: error.message,
+    output: getCapturedOutput(error)
+  };
+}
+
+/**
+ * Write the --reporter/--report-file report, if one was requested
+ */
+async function reportResults(results, command, options) {
+  const reportFile = await writeReport(results, command, options);
+  if (reportFile) {
+    console.log(chalk.gray(`Report written to ${reportFile}`));
+  }
+}
+
+function displayTestResults(results) {
+  const labels = { unit: 'Unit tests', integration: 'Integration tests', e2e: 'End-to-end tests' };
+  
+  for (const suite of TEST_SUITES) {
+    const suiteResults = results.filter(result => result.suite === suite);
+    if (suiteResults.length === 0) {
+      continue;
+    }
+    
+    console.log(chalk.blue(`\n${labels[suite]}:`));
+    for (const result of suiteResults) {
+      const duration = result.duration !== null && result.duration !== undefined ? chalk.gray(` (${result.duration}ms)`) : '';
+      if (result.status === 'pass') {
+        console.log(chalk.green(`  [PASS] ${result.name}`) + duration);
+      } else if (result.status === 'skip') {
+        console.log(chalk.gray(`  [SKIP] ${result.name}`));
+      } else {
+        console.log(chalk.red(`  [FAIL] ${result.name}`) + duration);
+        for (const line of (result.message || '').split('\n').filter(Boolean)) {
+          console.log(chalk.red(`    ${line}`));
+        }
+      }
+    }
+  }
+  
+  const count = status => results.filter(result => result.status === status).length;
+  console.log(`\n${results.length} test(s): ${count('pass')} passed, ${count('fail')} failed${count('skip') > 0 ? `, ${count('skip')} skipped` : ''}`);
 }
 
 // Analytics command to show detailed proof and execution analytics
@@ -2464,10 +3759,21 @@ async function analyticsCommand(options) {
     console.log(chalk.green(`Project: ${config.projectName}`));
     console.log(chalk.green(`Build Profile: ${config.buildProfile}\n`));
     
+    const analytics = {
+      project: config.projectName,
+      buildProfile: config.buildProfile,
+      build: null,
+      proofs: null,
+      inputs: { directory: 'build', count: 0, files: [] },
+      proofMetrics: null,
+      system: null
+    };
+    
     // Check build status
     const elfPath = await getExpectedElfPath(config.buildProfile, config.projectName);
     if (await fs.pathExists(elfPath)) {
       const stats = await fs.stat(elfPath);
+      analytics.build = { elfPath, size: stats.size, builtAt: stats.mtime };
       console.log(chalk.blue('Build Information:'));
       console.log(`  ELF File: ${elfPath}`);
       console.log(`  Size: ${(stats.size / 1024).toFixed(2)} KB`);
@@ -2510,6 +3816,12 @@ async function analyticsCommand(options) {
     }
     
     if (proofDir) {
+      analytics.proofs = {
+        directory: proofDir,
+        files: proofFilesWithStats.map(file => ({ name: file.name, size: file.size, modified: file.mtime })),
+        totalSize: totalProofSize,
+        compressionRatio: null
+      };
       
       if (proofFilesWithStats.length > 0) {
         console.log(chalk.blue('Proof Files:'));
@@ -2525,6 +3837,7 @@ async function analyticsCommand(options) {
         const originalFile = proofFilesWithStats.find(f => f.name.includes('final_proof.bin') && !f.name.includes('compressed'));
         if (compressedFile && originalFile) {
           const compressionRatio = ((1 - compressedFile.size / originalFile.size) * 100).toFixed(1);
+          analytics.proofs.compressionRatio = Number(compressionRatio);
           console.log(`  Compression Ratio: ${compressionRatio}% (${(originalFile.size / 1024).toFixed(2)} KB → ${(compressedFile.size / 1024).toFixed(2)} KB)`);
         }
         
@@ -2532,6 +3845,7 @@ async function analyticsCommand(options) {
         
         // Try to extract proof generation metrics from logs
         proofAnalytics = await extractProofMetrics(proofDir);
+        analytics.proofMetrics = proofAnalytics;
       }
     }
     
@@ -2541,6 +3855,7 @@ async function analyticsCommand(options) {
     if (await fs.pathExists(inputDir)) {
       const inputFiles = await fs.readdir(inputDir);
       binFiles = inputFiles.filter(f => f.endsWith('.bin'));
+      analytics.inputs.count = binFiles.length;
       if (binFiles.length > 0) {
         console.log(chalk.blue('Input Files:'));
         console.log(`  Total: ${binFiles.length} files`);
@@ -2552,6 +3867,7 @@ async function analyticsCommand(options) {
           const stats = await fs.stat(filePath);
           fileSizes.push({ name: file, size: stats.size });
         }
+        analytics.inputs.files = fileSizes;
         
         fileSizes.forEach(file => {
           const sizeKB = (file.size / 1024).toFixed(2);
@@ -2581,6 +3897,10 @@ async function analyticsCommand(options) {
     const { PlatformManager } = require('./platform');
     const platform = new PlatformManager();
     const resources = platform.getSystemResources();
+    analytics.system = {
+      memory: resources.memory,
+      cpu: { count: resources.cpu.count, loadAverage: resources.cpu.loadAverage }
+    };
     
     console.log(chalk.blue('System Resources:'));
     console.log(`  Total Memory: ${(resources.memory.total / (1024 * 1024 * 1024)).toFixed(2)} GB`);
@@ -2609,8 +3929,13 @@ async function analyticsCommand(options) {
       console.log(chalk.yellow('  ⚠️  No proof files found - run "zisk-dev prove" to generate'));
     }
     
+    return analytics;
+    
   } catch (error) {
     console.error(chalk.red('Analytics command failed:'), error.message);
+    if (isJsonOutput()) {
+      throw error;
+    }
   }
 }
 
@@ -2677,33 +4002,53 @@ async function statsCommand(options) {
     // Check if ELF file exists
     const elfPath = await getExpectedElfPath(config.buildProfile, config.projectName);
     if (!await fs.pathExists(elfPath)) {
-      console.log(chalk.red('ELF file not found. Please run "zisk-dev build" first.'));
-      return;
+      throw new ValidationError('ELF file not found. Please run "zisk-dev build" first.');
     }
     
     // Get input files
     const inputFiles = await getInputFiles(options);
     if (inputFiles.length === 0) {
-      console.log(chalk.red('No input files found. Please create input files in build/ directory.'));
-      return;
+      throw new ValidationError('No input files found. Please create input files in build/ directory.');
     }
     
+    // Source inputs and manifest cases are converted like for execute
+    const inputs = await convertInputs(inputFiles, options);
+    const projectConfig = await loadProjectConfig(process.cwd());
+    
     console.log(chalk.blue('Running execution with detailed statistics...\n'));
     
+    const results = [];
+    
     // Run execution with stats flag for each input file
-    for (let i = 0; i < inputFiles.length; i++) {
-      const inputFile = inputFiles[i];
-      console.log(chalk.blue(`Input ${i + 1}/${inputFiles.length}: ${inputFile}`));
+    for (let i = 0; i < inputs.length; i++) {
+      const input = inputs[i];
+      const inputFile = input.inputPath;
+      const label = input.case ? `${inputFile} (case: ${input.name})` : inputFile;
+      console.log(chalk.blue(`Input ${i + 1}/${inputs.length}: ${label}`));
       console.log('='.repeat(60));
       
       try {
         // Use ziskemu with -x flag for detailed statistics
-        const ziskemuArgs = ['-e', elfPath, '-i', inputFile, '-x'];
+        const ziskemuArgs = ['-e', elfPath, '-i', input.outputPath, '-x'];
+        
+        const maxSteps = getMaxSteps(input, options, projectConfig);
+        if (maxSteps) {
+          ziskemuArgs.push('-n', validateNumber(maxSteps, 1, 1000000000, 'maxSteps').toString());
+        }
         
         const result = await executor.executeZiskemu(ziskemuArgs, {
           cwd: process.cwd()
         });
         
+        results.push({
+          input: inputFile,
+          case: input.case ? input.case.name : null,
+          maxSteps: maxSteps || null,
+          statistics: result.stdout,
+          stderr: result.stderr || null,
+          duration: result.duration
+        });
+        
         // Display the raw statistics output
         console.log(result.stdout);
         
@@ -2715,6 +4060,11 @@ async function statsCommand(options) {
         console.log('\n' + '='.repeat(60) + '\n');
         
       } catch (error) {
+        results.push({
+          input: inputFile,
+          case: input.case ? input.case.name : null,
+          error: error.message
+        });
         console.error(chalk.red(`Failed to get statistics for ${inputFile}:`), error.message);
         console.log('\n' + '='.repeat(60) + '\n');
       }
@@ -2725,8 +4075,18 @@ async function statsCommand(options) {
     // Analyze existing proof generation data if available
     await analyzeExistingProofData();       
     
+    return {
+      project: config.projectName,
+      buildProfile: config.buildProfile,
+      elfPath,
+      results
+    };
+    
   } catch (error) {
     console.error(chalk.red('Stats command failed:'), error.message);
+    if (isJsonOutput()) {
+      throw error;
+    }
   }
 }
 
@@ -2756,7 +4116,9 @@ async function saveProofGenerationLog(output, inputFile, operation = 'prove') {
         stdout: output.stdout || '',
         stderr: output.stderr || '',
         exitCode: output.exitCode || 0,
-        duration: output.duration || 0
+        duration: output.duration || 0,
+        truncated: output.truncated || false,
+        runLog: output.logFile || null
       }
     };
     
@@ -2773,6 +4135,7 @@ async function saveProofGenerationLog(output, inputFile, operation = 'prove') {
       `Input File: ${inputFile}`,
       `Duration: ${output.duration || 0}ms`,
       `Exit Code: ${output.exitCode || 0}`,
+      `Run Log: ${output.logFile || '(none)'}`,
       ``,
       `STDOUT:`,
       `-------`,
@@ -3199,6 +4562,7 @@ module.exports = {
   executeCommand,
   proveCommand,
   verifyCommand,
+  romSetupCommand,
   cleanCommand,
   watchCommand,
   devCommand,
@@ -3214,6 +4578,13 @@ module.exports = {
   welcomeCommand,
   analyticsCommand,
   statsCommand,
+  inputConvertCommand,
+  inputDecodeCommand,
+  inputGenerateCommand,
+  inputCasesCommand,
+  inputInspectCommand,
+  inputValidateCommand,
+  inputDiffCommand,
   // Helper functions
   getProjectName,
   loadProjectConfig,
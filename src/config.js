@@ -114,6 +114,39 @@ class ConfigurationManager {
     }
   }
 
+  /**
+   * Load project settings from the .zisk-env file; null if the project has none
+   */
+  async loadProjectSettings(projectRoot) {
+    const envPath = path.join(projectRoot, '.zisk-env');
+    
+    if (!fs.existsSync(envPath)) {
+      return null;
+    }
+    
+    try {
+      const envContent = await fs.readFile(envPath, 'utf8');
+      const config = {};
+      
+      // Parse .env format
+      const lines = envContent.split('\n');
+      for (const line of lines) {
+        const trimmedLine = line.trim();
+        if (trimmedLine && !trimmedLine.startsWith('#')) {
+          const [key, ...valueParts] = trimmedLine.split('=');
+          if (key && valueParts.length > 0) {
+            config[key.trim()] = valueParts.join('=').trim();
+          }
+        }
+      }
+      
+      return config;
+    } catch (error) {
+      console.warn(`Could not read .zisk-env file: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Create .env file template
    */
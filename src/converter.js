@@ -6,14 +6,48 @@
 const fs = require('fs-extra');
 const path = require('path');
 const yaml = require('js-yaml');
+const toml = require('@iarna/toml');
 const crypto = require('crypto');
 const { Logger } = require('./logger');
 const { ValidationError } = require('./errors');
+const { InputSchema, SchemaEncoder, SchemaDecoder, toHex } = require('./schema');
+const { BincodeEncoder, BincodeDecoder } = require('./bincode');
+const { ConversionCache, hashFile } = require('./cache');
+const { parseCSV, readCSV, formatCSV } = require('./csv');
+const {
+  STREAMING_THRESHOLD,
+  StreamingArrayWriter,
+  isJsonArrayFile,
+  readJsonArray,
+  readLines
+} = require('./streaming');
+
+// ZISK header layout: magic (4) + major (2) + minor (2) + data length (8)
+const HEADER_MAGIC = 'ZISK';
+const HEADER_SIZE = 16;
+
+// raw: bytes exactly as ziskos::read_input() returns them; framed: prefixed with the ZISK header
+const INPUT_FORMATS = ['raw', 'framed'];
+
+// Options that change converter output; everything else is ignored for cache keys
+const CONVERSION_OPTION_KEYS = ['inputFormat', 'format', 'csv'];
+
+// Part of every conversion key: bump it when a change to the serializers alters their
+// output, so conversions cached by an older version are not reused
+const CONVERSION_FORMAT_VERSION = 1;
+
+// Project configuration file that can declare extra converters
+const PROJECT_CONFIG_FILE = 'zisk-dev.config.js';
+
+// Project directory holding source inputs and their schema
+const PROJECT_INPUTS_DIR = 'inputs';
 
 class InputConverter {
   constructor() {
     this.logger = new Logger();
     this.converters = new Map();
+    this.cache = new ConversionCache();
+    this.projectConvertersLoaded = false;
     this.registerConverters();
   }
 
@@ -25,10 +59,66 @@ class InputConverter {
     this.converters.set('.yaml', new YamlToBinaryConverter());
     this.converters.set('.yml', new YamlToBinaryConverter());
     this.converters.set('.txt', new TextToBinaryConverter());
+    this.converters.set('.csv', new CsvToBinaryConverter());
+    this.converters.set('.toml', new TomlToBinaryConverter());
+    this.converters.set('.hex', new HexToBinaryConverter());
+    this.converters.set('.b64', new Base64ToBinaryConverter());
     this.converters.set('.bin', new PassThroughConverter());
     this.converters.set('.custom', new CustomFormatConverter());
   }
 
+  /**
+   * Register a converter for a file extension, replacing any existing one
+   */
+  registerConverter(ext, converter) {
+    if (!/^\.[A-Za-z0-9_-]+$/.test(ext)) {
+      throw new ValidationError(`Invalid converter extension "${ext}": expected e.g. ".trace"`);
+    }
+    this.converters.set(ext.toLowerCase(), converter);
+  }
+
+  /**
+   * Register converter modules declared under inputs.converters in zisk-dev.config.js:
+   *   converters: { '.trace': { module: './converters/trace.js', options: { ... } } }
+   */
+  loadProjectConverters(projectRoot = process.cwd()) {
+    const configPath = path.join(projectRoot, PROJECT_CONFIG_FILE);
+    if (!fs.existsSync(configPath)) {
+      this.projectConvertersLoaded = true;
+      return [];
+    }
+
+    delete require.cache[require.resolve(configPath)];
+    const config = require(configPath);
+    const declared = (config.inputs && config.inputs.converters) || {};
+    const registered = [];
+
+    for (const [ext, entry] of Object.entries(declared)) {
+      const { module: modulePath, options = {} } = typeof entry === 'string' ? { module: entry } : entry;
+
+      if (!modulePath) {
+        throw new ValidationError(`Converter for ${ext} in ${PROJECT_CONFIG_FILE} has no module path`);
+      }
+
+      this.registerConverter(ext, new ModuleConverter(path.resolve(projectRoot, modulePath), options));
+      registered.push(ext);
+    }
+
+    // Only after a successful load, so a broken config keeps failing instead of falling back to built-ins
+    this.projectConvertersLoaded = true;
+    return registered;
+  }
+
+  /**
+   * Get the converter for a file extension, including project converters
+   */
+  getConverter(ext) {
+    if (!this.projectConvertersLoaded) {
+      this.loadProjectConverters();
+    }
+    return this.converters.get(ext.toLowerCase());
+  }
+
   /**
    * Convert input file to binary format
    */
@@ -46,28 +136,52 @@ class InputConverter {
 
       // Get file extension
       const ext = path.extname(inputPath).toLowerCase();
-      const converter = this.converters.get(ext);
+      const converter = this.getConverter(ext);
 
       if (!converter) {
         throw new ValidationError(`Unsupported input format: ${ext}`);
       }
 
-      // Convert file
-      this.logger.progress(`Converting ${path.basename(inputPath)} to binary format`);
-      
-      await converter.convert(inputPath, finalOutputPath, options);
+      // Resolve the input schema (explicit option or schema file next to the input)
+      const schema = await this.resolveSchema(inputPath, options);
+      const conversionOptions = schema ? { ...options, schema } : options;
+
+      // Reuse a previous conversion of the same content with the same options
+      const cacheKey = options.cache !== false && converter.cacheable
+        ? options.conversionKey || await this.getConversionKey(inputPath, conversionOptions)
+        : null;
+      const cached = cacheKey ? await this.cache.restore(cacheKey, finalOutputPath) : false;
+
+      if (cached) {
+        this.logger.debug(`Using cached conversion of ${path.basename(inputPath)}`);
+      } else {
+        // Convert file
+        this.logger.progress(`Converting ${path.basename(inputPath)} to binary format`);
+        
+        await converter.convert(inputPath, finalOutputPath, conversionOptions);
+
+        if (cacheKey) {
+          await this.cache.store(cacheKey, finalOutputPath, {
+            inputPath,
+            converter: converter.constructor.name
+          });
+        }
+      }
 
       const duration = Date.now() - startTime;
       this.logger.success(`Input conversion completed in ${duration}ms`, {
         inputPath,
         outputPath: finalOutputPath,
-        duration
+        duration,
+        cached
       });
 
       return {
         inputPath,
         outputPath: finalOutputPath,
         duration,
+        cached,
+        schema: schema ? schema.source : null,
         size: await this.getFileSize(finalOutputPath)
       };
     } catch (error) {
@@ -76,6 +190,154 @@ class InputConverter {
     }
   }
 
+  /**
+   * Convert an in-memory input value (e.g. produced by a generator script): Buffers are
+   * written as-is, anything else is serialized like a JSON input
+   */
+  async convertData(data, outputPath, options = {}) {
+    // Not getConverter('.json'): a project may register its own converter for .json files
+    const jsonConverter = new JsonToBinaryConverter();
+    const serialized = Buffer.isBuffer(data) ? data : jsonConverter.serialize(data, options);
+
+    await jsonConverter.writeBinaryFile(outputPath, serialized, options);
+
+    return {
+      outputPath,
+      size: await this.getFileSize(outputPath)
+    };
+  }
+
+  /**
+   * Resolve input schema from options or from a schema file next to the input
+   */
+  async resolveSchema(inputPath, options = {}) {
+    if (options.schema instanceof InputSchema) {
+      return options.schema;
+    }
+
+    if (options.schema && typeof options.schema === 'object') {
+      return new InputSchema(options.schema);
+    }
+
+    if (typeof options.schema === 'string') {
+      return await InputSchema.load(options.schema);
+    }
+
+    // Binary inputs are already laid out
+    if (path.extname(inputPath).toLowerCase() === '.bin') {
+      return null;
+    }
+
+    const discovered = await InputSchema.discover(path.dirname(inputPath));
+    return discovered ? await InputSchema.load(discovered) : null;
+  }
+
+  /**
+   * Schema in the project's inputs directory (inputs/schema.yaml, .yml or .json), if any
+   */
+  async discoverProjectSchema(projectRoot = process.cwd()) {
+    const discovered = await InputSchema.discover(path.join(projectRoot, PROJECT_INPUTS_DIR));
+    return discovered ? await InputSchema.load(discovered) : null;
+  }
+
+  /**
+   * Decode a binary input back to a source format (picked from the output extension)
+   */
+  async decodeInput(inputPath, outputPath = null, options = {}) {
+    if (!await fs.pathExists(inputPath)) {
+      throw new ValidationError(`Input file not found: ${inputPath}`);
+    }
+
+    const ext = outputPath ? path.extname(outputPath).toLowerCase() : `.${options.to || 'json'}`;
+    const converter = this.getConverter(ext);
+
+    if (!converter) {
+      throw new ValidationError(`Unsupported output format: ${ext}`);
+    }
+
+    const buffer = await fs.readFile(inputPath);
+    const header = getFramedHeader(parseHeader(buffer), buffer.length, inputPath, options.inputFormat);
+
+    // Binary inputs are skipped by schema discovery when converting; decoding needs it.
+    // Converted inputs live in build/inputs/, so fall back to the project's inputs/ schema
+    let schema;
+    if (options.schema) {
+      schema = await this.resolveSchema(inputPath, options);
+    } else {
+      const discovered = await InputSchema.discover(path.dirname(inputPath));
+      schema = discovered ? await InputSchema.load(discovered) : await this.discoverProjectSchema();
+    }
+
+    const data = header ? buffer.subarray(HEADER_SIZE) : buffer;
+    const content = await converter.decode(data, schema ? { ...options, schema } : options);
+
+    if (outputPath) {
+      await fs.ensureDir(path.dirname(outputPath));
+      await fs.writeFile(outputPath, content);
+    }
+
+    return {
+      inputPath,
+      outputPath,
+      header,
+      schema: schema ? schema.source : null,
+      content
+    };
+  }
+
+  /**
+   * Check if a binary input already has the layout for the requested input format
+   */
+  async matchesInputFormat(inputPath, inputFormat = 'raw') {
+    const stats = await fs.stat(inputPath);
+    const header = getFramedHeader(await readInputHeader(inputPath), stats.size, inputPath, inputFormat);
+
+    return inputFormat === 'framed' ? header !== null : header === null;
+  }
+
+  /**
+   * Inspect an input file: size, ZISK header and detected data format
+   */
+  async inspectInput(inputPath) {
+    if (!await fs.pathExists(inputPath)) {
+      throw new ValidationError(`Input file not found: ${inputPath}`);
+    }
+
+    const buffer = await fs.readFile(inputPath);
+    const header = parseHeader(buffer);
+    let headerValid = null;
+
+    if (header) {
+      headerValid = header.headerSize + header.dataLength === buffer.length;
+    }
+
+    // Raw data may start with the magic too; only a matching length makes it a header
+    const data = headerValid ? buffer.subarray(HEADER_SIZE) : buffer;
+
+    return {
+      inputPath,
+      size: buffer.length,
+      header,
+      headerValid,
+      format: this.detectFormat(inputPath, data),
+      buffer,
+      data
+    };
+  }
+
+  /**
+   * Detect data format from extension (source files) or content (binary files)
+   */
+  detectFormat(inputPath, data) {
+    const ext = path.extname(inputPath).toLowerCase();
+
+    if (ext !== '.bin' && this.getConverter(ext)) {
+      return ext.slice(1);
+    }
+
+    return detectBinaryFormat(data);
+  }
+
   /**
    * Convert multiple input files
    */
@@ -104,6 +366,61 @@ class InputConverter {
     return results;
   }
 
+  /**
+   * Deterministic output path for a converted input: name plus a hash of the
+   * source content and everything that affects the conversion
+   */
+  async getConvertedOutputPath(inputPath, outputDir = path.join('build', 'inputs'), options = {}) {
+    const key = options.conversionKey || await this.getConversionKey(inputPath, options);
+    const name = path.basename(inputPath, path.extname(inputPath));
+    return path.join(outputDir, `${name}-${key.slice(0, 8)}.bin`);
+  }
+
+  /**
+   * Whether converting inputPath with these options streams it rather than reading it whole
+   */
+  async willStream(inputPath, options = {}) {
+    const converter = this.getConverter(path.extname(inputPath).toLowerCase());
+    if (!converter) {
+      return false;
+    }
+
+    const schema = await this.resolveSchema(inputPath, options);
+    return await converter.willStream(inputPath, schema ? { ...options, schema } : options);
+  }
+
+  /**
+   * Conversion options with the schema resolved and the conversion key (options.conversionKey)
+   * computed, so getConvertedOutputPath and convertInput don't hash the source again
+   */
+  async prepareConversion(inputPath, options = {}) {
+    const schema = await this.resolveSchema(inputPath, options);
+    const prepared = schema ? { ...options, schema } : options;
+
+    return { ...prepared, conversionKey: await this.getConversionKey(inputPath, prepared) };
+  }
+
+  /**
+   * Hash of the source content, converter type, serializer format version and the options
+   * that affect its output
+   */
+  async getConversionKey(inputPath, options = {}) {
+    const ext = path.extname(inputPath).toLowerCase();
+    const converter = this.getConverter(ext);
+    const schema = await this.resolveSchema(inputPath, options);
+    const sourceHash = await hashFile(inputPath);
+
+    const keyOptions = { formatVersion: CONVERSION_FORMAT_VERSION, inputFormat: 'raw' };
+    for (const key of CONVERSION_OPTION_KEYS) {
+      if (options[key] !== undefined) {
+        keyOptions[key] = options[key];
+      }
+    }
+    keyOptions.schema = schema ? schema.definition : null;
+
+    return this.cache.getKey(sourceHash, converter ? converter.getCacheId() : ext, keyOptions);
+  }
+
   /**
    * Get default output path for input file
    */
@@ -132,21 +449,24 @@ class InputConverter {
   /**
    * Validate input file format
    */
-  async validateInput(inputPath) {
+  async validateInput(inputPath, options = {}) {
     const ext = path.extname(inputPath).toLowerCase();
-    const converter = this.converters.get(ext);
+    const converter = this.getConverter(ext);
 
     if (!converter) {
       throw new ValidationError(`Unsupported input format: ${ext}`);
     }
 
-    return await converter.validate(inputPath);
+    return await converter.validate(inputPath, options);
   }
 
   /**
    * Get supported input formats
    */
   getSupportedFormats() {
+    if (!this.projectConvertersLoaded) {
+      this.loadProjectConverters();
+    }
     return Array.from(this.converters.keys());
   }
 }
@@ -157,6 +477,8 @@ class InputConverter {
 class BaseConverter {
   constructor() {
     this.logger = new Logger();
+    // Whether outputs depend only on file content and options (see ConversionCache)
+    this.cacheable = true;
   }
 
   async convert(inputPath, outputPath, options = {}) {
@@ -167,6 +489,30 @@ class BaseConverter {
     return true;
   }
 
+  async decode(data, options = {}) {
+    throw new Error('decode method must be implemented');
+  }
+
+  /**
+   * Identifies this converter's behaviour in conversion cache keys
+   */
+  getCacheId() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Get input format (raw or framed) from options
+   */
+  getInputFormat(options = {}) {
+    const inputFormat = options.inputFormat || 'raw';
+
+    if (!INPUT_FORMATS.includes(inputFormat)) {
+      throw new ValidationError(`Input format must be one of: ${INPUT_FORMATS.join(', ')}`);
+    }
+
+    return inputFormat;
+  }
+
   /**
    * Create ZISK-compatible binary header
    */
@@ -187,12 +533,80 @@ class BaseConverter {
   }
 
   /**
-   * Write binary file with header
+   * Stream files above the threshold; options.stream forces (true) or disables (false) it
+   */
+  async shouldStream(inputPath, options = {}) {
+    if (options.stream !== undefined) {
+      return options.stream;
+    }
+    const stats = await fs.stat(inputPath);
+    return stats.size >= (options.streamThreshold || STREAMING_THRESHOLD);
+  }
+
+  /**
+   * Whether convert() streams inputPath; converters that always read the whole file don't
+   */
+  async willStream(inputPath, options = {}) {
+    return false;
+  }
+
+  /**
+   * Whether writeItems can write items one at a time (the format's root is an array)
+   */
+  canWriteItems(options = {}) {
+    return new JsonToBinaryConverter().getStreamLayout(options) !== null;
+  }
+
+  /**
+   * Serialize an async iterable of array items to outputPath without holding the
+   * whole output in memory. Formats whose root isn't an array are collected and
+   * serialized in one go.
+   */
+  async writeItems(items, outputPath, options = {}) {
+    const jsonConverter = new JsonToBinaryConverter();
+    const layout = jsonConverter.getStreamLayout(options);
+
+    if (!layout) {
+      const data = [];
+      for await (const item of items) {
+        data.push(item);
+      }
+      await this.writeBinaryFile(outputPath, jsonConverter.serialize(data, options), options);
+      return;
+    }
+
+    const framed = this.getInputFormat(options) === 'framed';
+    const writer = new StreamingArrayWriter(outputPath, layout, {
+      createHeader: framed ? (dataLength) => this.createHeader(dataLength, options) : null
+    });
+
+    await writer.open();
+    try {
+      for await (const item of items) {
+        await writer.write(item);
+      }
+      const size = await writer.close();
+
+      this.logger.logFileOperation('write', outputPath, {
+        size,
+        items: writer.count,
+        streamed: true
+      });
+    } catch (error) {
+      await writer.abort();
+      throw error;
+    }
+  }
+
+  /**
+   * Write binary file, with the ZISK header only for the framed input format
    */
   async writeBinaryFile(outputPath, data, options = {}) {
-    const header = this.createHeader(data.length, options);
+    const framed = this.getInputFormat(options) === 'framed';
+    const header = framed ? this.createHeader(data.length, options) : Buffer.alloc(0);
     const buffer = Buffer.concat([header, data]);
     
+    await fs.ensureDir(path.dirname(outputPath));
     await fs.writeFile(outputPath, buffer);
     
     this.logger.logFileOperation('write', outputPath, {
@@ -207,7 +621,17 @@ class BaseConverter {
  * JSON to Binary Converter
  */
 class JsonToBinaryConverter extends BaseConverter {
+  async willStream(inputPath, options = {}) {
+    return await this.shouldStream(inputPath, options) && await isJsonArrayFile(inputPath) && this.canWriteItems(options);
+  }
+
   async convert(inputPath, outputPath, options = {}) {
+    // Large top-level arrays are converted element by element
+    if (await this.shouldStream(inputPath, options) && await isJsonArrayFile(inputPath)) {
+      await this.writeItems(readJsonArray(inputPath), outputPath, options);
+      return;
+    }
+
     // Read JSON file
     const content = await fs.readFile(inputPath, 'utf8');
     const data = JSON.parse(content);
@@ -229,10 +653,43 @@ class JsonToBinaryConverter extends BaseConverter {
     }
   }
 
+  async decode(data, options = {}) {
+    return `${JSON.stringify(this.deserialize(data, options), null, 2)}\n`;
+  }
+
+  /**
+   * Inverse of serialize; the format comes from options, the schema or the data itself
+   */
+  deserialize(buffer, options = {}) {
+    const format = options.format || this.getSchemaFormat(options.schema, buffer);
+
+    switch (format) {
+      case 'schema':
+        return new SchemaDecoder(options.schema).decode(buffer);
+      case 'bincode':
+        return new BincodeDecoder(options.schema).decode(buffer);
+      case 'typed':
+        return this.deserializeTyped(buffer);
+      case 'raw':
+        // Unknown layout without a schema: keep the bytes readable
+        return toHex(buffer);
+      default:
+        try {
+          return JSON.parse(buffer.toString('utf8'));
+        } catch (error) {
+          throw new ValidationError(`Data is not JSON: ${error.message}`);
+        }
+    }
+  }
+
   serialize(data, options = {}) {
-    const format = options.format || 'default';
+    const format = options.format || this.getSchemaFormat(options.schema);
     
     switch (format) {
+      case 'schema':
+        return this.serializeSchema(data, options.schema);
+      case 'bincode':
+        return this.serializeBincode(data, options.schema);
       case 'compact':
         return this.serializeCompact(data);
       case 'typed':
@@ -242,68 +699,178 @@ class JsonToBinaryConverter extends BaseConverter {
     }
   }
 
+  /**
+   * Layout of an array serialized item by item, matching serialize() byte for byte,
+   * or null if the format's root value isn't a streamable array
+   */
+  getStreamLayout(options = {}) {
+    const format = options.format || this.getSchemaFormat(options.schema);
+
+    switch (format) {
+      case 'schema':
+      case 'bincode': {
+        if (!options.schema) {
+          return null;
+        }
+        const schema = options.schema instanceof InputSchema ? options.schema : new InputSchema(options.schema);
+        const root = schema.root;
+        if (root.kind !== 'array') {
+          return null;
+        }
+
+        const encoder = format === 'bincode' ? new BincodeEncoder(schema) : new SchemaEncoder(schema);
+        const fixed = root.length !== null && root.length !== undefined;
+        // Raw arrays carry their declared prefix; bincode sequences always have a u64 length
+        let count = null;
+        if (format === 'schema' && root.prefix) {
+          count = { offset: 0, bits: root.prefix === 'u32' ? 32 : 64 };
+        } else if (format === 'bincode' && !fixed) {
+          count = { offset: 0, bits: 64 };
+        }
+
+        return {
+          prefix: count ? Buffer.alloc(count.bits / 8) : null,
+          count,
+          expectedCount: fixed ? root.length : null,
+          encodeItem: (item, index) => {
+            const chunks = [];
+            encoder.encodeValue(root.items, item, chunks, `$[${index}]`);
+            return Buffer.concat(chunks);
+          }
+        };
+      }
+      case 'typed':
+        return {
+          prefix: Buffer.from([0x04, 0, 0, 0, 0]),
+          count: { offset: 1, bits: 32 },
+          encodeItem: (item) => this.serializeTyped(item)
+        };
+      default:
+        // JSON.stringify of an array is its items' JSON joined by commas
+        return {
+          prefix: Buffer.from('['),
+          separator: Buffer.from(','),
+          suffix: Buffer.from(']'),
+          encodeItem: (item) => Buffer.from(JSON.stringify(item, jsonReplacer), 'utf8')
+        };
+    }
+  }
+
   serializeDefault(data) {
     // Simple serialization: convert to string and encode as UTF-8
-    const jsonString = JSON.stringify(data);
+    const jsonString = JSON.stringify(data, jsonReplacer);
     return Buffer.from(jsonString, 'utf8');
   }
 
   serializeCompact(data) {
     // Compact serialization without whitespace
-    const jsonString = JSON.stringify(data, null, 0);
+    const jsonString = JSON.stringify(data, jsonReplacer, 0);
     return Buffer.from(jsonString, 'utf8');
   }
 
+  /**
+   * Pick serialization format from the schema's encoding, or detect it when decoding
+   */
+  getSchemaFormat(schema, buffer = null) {
+    if (!schema && buffer) {
+      const detected = detectBinaryFormat(buffer);
+      return detected === 'json' ? 'default' : detected === 'typed' ? 'typed' : 'raw';
+    }
+    if (!schema) {
+      return 'default';
+    }
+    return schema.encoding === 'bincode' ? 'bincode' : 'schema';
+  }
+
+  serializeBincode(data, schema) {
+    if (!schema) {
+      throw new ValidationError('Bincode format requires a type description (--schema or inputs/schema.yaml)');
+    }
+
+    // serde/bincode-compatible serialization for guests using bincode::deserialize
+    return new BincodeEncoder(schema).encode(data);
+  }
+
+  serializeSchema(data, schema) {
+    if (!schema) {
+      throw new ValidationError('Schema format requires an input schema (--schema or inputs/schema.yaml)');
+    }
+
+    // Schema-driven serialization: raw little-endian layout read by the guest
+    return new SchemaEncoder(schema).encode(data);
+  }
+
+  /**
+   * Decode the tagged format written by serializeTyped
+   */
+  deserializeTyped(buffer) {
+    const reader = { buffer, offset: 0 };
+    const value = readTyped(reader);
+
+    if (reader.offset !== buffer.length) {
+      throw new ValidationError(`Unexpected ${buffer.length - reader.offset} trailing byte(s) after typed value`);
+    }
+
+    return value;
+  }
+
   serializeTyped(data) {
     // Type-aware serialization
-    const buffer = Buffer.alloc(0);
-    
-    if (typeof data === 'number') {
+    const chunks = [];
+    this.writeTyped(data, chunks);
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Append the typed encoding of data to chunks (concatenated once by serializeTyped)
+   */
+  writeTyped(data, chunks) {
+    if (typeof data === 'bigint') {
+      if (data < -(1n << 63n) || data >= (1n << 63n)) {
+        throw new ValidationError(`Integer ${data} does not fit the typed format's 64-bit signed integers`);
+      }
+      const intBuffer = Buffer.alloc(9);
+      intBuffer[0] = 0x01;
+      intBuffer.writeBigInt64LE(data, 1);
+      chunks.push(intBuffer);
+    } else if (Buffer.isBuffer(data)) {
+      // Byte values are written as hex strings, like in JSON
+      const stringBuffer = Buffer.from(toHex(data), 'utf8');
+      chunks.push(typedLength(0x03, stringBuffer.length), stringBuffer);
+    } else if (typeof data === 'number') {
       if (Number.isInteger(data)) {
-        const intBuffer = Buffer.alloc(8);
-        intBuffer.writeBigInt64LE(BigInt(data), 0);
-        return Buffer.concat([Buffer.from([0x01]), intBuffer]);
+        const intBuffer = Buffer.alloc(9);
+        intBuffer[0] = 0x01;
+        intBuffer.writeBigInt64LE(BigInt(data), 1);
+        chunks.push(intBuffer);
       } else {
-        const floatBuffer = Buffer.alloc(8);
-        floatBuffer.writeDoubleLE(data, 0);
-        return Buffer.concat([Buffer.from([0x02]), floatBuffer]);
+        const floatBuffer = Buffer.alloc(9);
+        floatBuffer[0] = 0x02;
+        floatBuffer.writeDoubleLE(data, 1);
+        chunks.push(floatBuffer);
       }
     } else if (typeof data === 'string') {
       const stringBuffer = Buffer.from(data, 'utf8');
-      const lengthBuffer = Buffer.alloc(4);
-      lengthBuffer.writeUInt32LE(stringBuffer.length, 0);
-      return Buffer.concat([Buffer.from([0x03]), lengthBuffer, stringBuffer]);
+      chunks.push(typedLength(0x03, stringBuffer.length), stringBuffer);
     } else if (Array.isArray(data)) {
-      const lengthBuffer = Buffer.alloc(4);
-      lengthBuffer.writeUInt32LE(data.length, 0);
-      let arrayBuffer = Buffer.concat([Buffer.from([0x04]), lengthBuffer]);
+      chunks.push(typedLength(0x04, data.length));
       
       for (const item of data) {
-        arrayBuffer = Buffer.concat([arrayBuffer, this.serializeTyped(item)]);
+        this.writeTyped(item, chunks);
       }
-      
-      return arrayBuffer;
     } else if (typeof data === 'object' && data !== null) {
       const keys = Object.keys(data);
-      const lengthBuffer = Buffer.alloc(4);
-      lengthBuffer.writeUInt32LE(keys.length, 0);
-      let objectBuffer = Buffer.concat([Buffer.from([0x05]), lengthBuffer]);
+      chunks.push(typedLength(0x05, keys.length));
       
       for (const key of keys) {
         const keyBuffer = Buffer.from(key, 'utf8');
         const keyLengthBuffer = Buffer.alloc(4);
         keyLengthBuffer.writeUInt32LE(keyBuffer.length, 0);
-        objectBuffer = Buffer.concat([
-          objectBuffer,
-          keyLengthBuffer,
-          keyBuffer,
-          this.serializeTyped(data[key])
-        ]);
+        chunks.push(keyLengthBuffer, keyBuffer);
+        this.writeTyped(data[key], chunks);
       }
-      
-      return objectBuffer;
     } else {
-      return Buffer.from([0x00]); // null/undefined
+      chunks.push(Buffer.from([0x00])); // null/undefined
     }
   }
 }
@@ -334,13 +901,31 @@ class YamlToBinaryConverter extends BaseConverter {
       throw new ValidationError(`Invalid YAML format: ${error.message}`);
     }
   }
+
+  async decode(data, options = {}) {
+    const jsonConverter = new JsonToBinaryConverter();
+    return yaml.dump(jsonConverter.deserialize(data, options));
+  }
 }
 
 /**
  * Text to Binary Converter
  */
 class TextToBinaryConverter extends BaseConverter {
+  async willStream(inputPath, options = {}) {
+    return ['lines', 'csv'].includes(options.format || 'lines') && await this.shouldStream(inputPath, options) && this.canWriteItems(options);
+  }
+
   async convert(inputPath, outputPath, options = {}) {
+    const format = options.format || 'lines';
+
+    // Large line-based files are converted line by line
+    if (['lines', 'csv'].includes(format) && await this.shouldStream(inputPath, options)) {
+      const items = format === 'csv' ? readCSV(inputPath, options.csv) : this.readNonEmptyLines(inputPath);
+      await this.writeItems(items, outputPath, options);
+      return;
+    }
+
     // Read text file
     const content = await fs.readFile(inputPath, 'utf8');
     
@@ -362,7 +947,7 @@ class TextToBinaryConverter extends BaseConverter {
       case 'lines':
         return content.split('\n').filter(line => line.trim());
       case 'csv':
-        return this.parseCSV(content);
+        return parseCSV(content, options.csv);
       case 'keyvalue':
         return this.parseKeyValue(content);
       default:
@@ -370,25 +955,12 @@ class TextToBinaryConverter extends BaseConverter {
     }
   }
 
-  parseCSV(content) {
-    const lines = content.split('\n').filter(line => line.trim());
-    if (lines.length === 0) return [];
-    
-    const headers = lines[0].split(',').map(h => h.trim());
-    const data = [];
-    
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(',').map(v => v.trim());
-      const row = {};
-      
-      for (let j = 0; j < headers.length; j++) {
-        row[headers[j]] = values[j] || '';
+  async* readNonEmptyLines(inputPath) {
+    for await (const line of readLines(inputPath)) {
+      if (line.trim()) {
+        yield line;
       }
-      
-      data.push(row);
     }
-    
-    return data;
   }
 
   parseKeyValue(content) {
@@ -413,28 +985,208 @@ class TextToBinaryConverter extends BaseConverter {
       throw new ValidationError(`Cannot read text file: ${error.message}`);
     }
   }
+
+  /**
+   * Inverse of parseText: lines, key=value pairs, or raw content
+   */
+  async decode(data, options = {}) {
+    const jsonConverter = new JsonToBinaryConverter();
+    const value = jsonConverter.deserialize(data, options);
+
+    const toLine = entry => (typeof entry === 'string' ? entry : JSON.stringify(entry));
+
+    if (Array.isArray(value)) {
+      return `${value.map(toLine).join('\n')}\n`;
+    }
+    if (value && typeof value === 'object') {
+      if (typeof value.content === 'string' && Object.keys(value).length === 1) {
+        return value.content;
+      }
+      return `${Object.entries(value).map(([key, entry]) => `${key}=${toLine(entry)}`).join('\n')}\n`;
+    }
+    return toLine(value);
+  }
+}
+
+/**
+ * CSV to Binary Converter
+ * options.csv: { delimiter, header, columns } (see src/csv.js)
+ */
+class CsvToBinaryConverter extends BaseConverter {
+  async willStream(inputPath, options = {}) {
+    return await this.shouldStream(inputPath, options) && this.canWriteItems(options);
+  }
+
+  async convert(inputPath, outputPath, options = {}) {
+    // Large files are converted row by row
+    if (await this.shouldStream(inputPath, options)) {
+      await this.writeItems(readCSV(inputPath, options.csv), outputPath, options);
+      return;
+    }
+
+    const content = await fs.readFile(inputPath, 'utf8');
+    const rows = parseCSV(content, options.csv);
+
+    const jsonConverter = new JsonToBinaryConverter();
+    const serialized = jsonConverter.serialize(rows, options);
+
+    await this.writeBinaryFile(outputPath, serialized, options);
+  }
+
+  async validate(inputPath, options = {}) {
+    try {
+      // Parse every row (streaming) so quoting and column type errors surface
+      for await (const row of readCSV(inputPath, options.csv)) {
+        void row;
+      }
+      return true;
+    } catch (error) {
+      throw new ValidationError(`Invalid CSV format: ${error.message}`);
+    }
+  }
+
+  async decode(data, options = {}) {
+    const jsonConverter = new JsonToBinaryConverter();
+    const value = jsonConverter.deserialize(data, options);
+
+    if (!Array.isArray(value)) {
+      throw new ValidationError('Only array data can be decoded to CSV');
+    }
+    return formatCSV(value, options.csv);
+  }
+}
+
+/**
+ * TOML to Binary Converter
+ */
+class TomlToBinaryConverter extends BaseConverter {
+  async convert(inputPath, outputPath, options = {}) {
+    const content = await fs.readFile(inputPath, 'utf8');
+    const data = normalizeToml(toml.parse(content));
+
+    // Serialize like JSON, so schemas apply to TOML parameter files too
+    const jsonConverter = new JsonToBinaryConverter();
+    const serialized = jsonConverter.serialize(data, options);
+
+    await this.writeBinaryFile(outputPath, serialized, options);
+  }
+
+  async validate(inputPath) {
+    try {
+      const content = await fs.readFile(inputPath, 'utf8');
+      toml.parse(content);
+      return true;
+    } catch (error) {
+      throw new ValidationError(`Invalid TOML format: ${error.message}`);
+    }
+  }
+
+  async decode(data, options = {}) {
+    const jsonConverter = new JsonToBinaryConverter();
+    const value = jsonConverter.deserialize(data, options);
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new ValidationError('Only table (object) data can be decoded to TOML');
+    }
+    return toml.stringify(value);
+  }
+}
+
+/**
+ * Hex Dump to Binary Converter
+ * The file's bytes as hex digits; 0x prefixes and whitespace are ignored
+ */
+class HexToBinaryConverter extends BaseConverter {
+  async convert(inputPath, outputPath, options = {}) {
+    const content = await fs.readFile(inputPath, 'utf8');
+    await this.writeBinaryFile(outputPath, parseHexText(content, inputPath), options);
+  }
+
+  async validate(inputPath) {
+    const content = await fs.readFile(inputPath, 'utf8');
+    parseHexText(content, inputPath);
+    return true;
+  }
+
+  async decode(data, options = {}) {
+    const lines = [];
+    for (let offset = 0; offset < data.length; offset += 32) {
+      lines.push(data.toString('hex', offset, Math.min(offset + 32, data.length)));
+    }
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+}
+
+/**
+ * Base64 to Binary Converter
+ * Standard or URL-safe alphabet; whitespace and line breaks are ignored
+ */
+class Base64ToBinaryConverter extends BaseConverter {
+  async convert(inputPath, outputPath, options = {}) {
+    const content = await fs.readFile(inputPath, 'utf8');
+    await this.writeBinaryFile(outputPath, parseBase64Text(content, inputPath), options);
+  }
+
+  async validate(inputPath) {
+    const content = await fs.readFile(inputPath, 'utf8');
+    parseBase64Text(content, inputPath);
+    return true;
+  }
+
+  async decode(data, options = {}) {
+    const text = data.toString('base64');
+    const lines = text.match(/.{1,76}/g) || [];
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
 }
 
 /**
  * Pass-through Converter (for binary files)
  */
 class PassThroughConverter extends BaseConverter {
+  constructor() {
+    super();
+    // Copying is as cheap as a cache hit
+    this.cacheable = false;
+  }
+
   async convert(inputPath, outputPath, options = {}) {
-    // Copy binary file directly
-    await fs.copy(inputPath, outputPath);
-    
-    this.logger.logFileOperation('copy', outputPath, {
-      source: inputPath
-    });
+    const inputFormat = this.getInputFormat(options);
+    const buffer = await fs.readFile(inputPath);
+    const header = getFramedHeader(parseHeader(buffer), buffer.length, inputPath, inputFormat);
+
+    // Copy binary file directly when it already has the requested layout
+    if ((inputFormat === 'framed') === (header !== null)) {
+      await fs.ensureDir(path.dirname(outputPath));
+      await fs.copy(inputPath, outputPath);
+
+      this.logger.logFileOperation('copy', outputPath, {
+        source: inputPath
+      });
+      return;
+    }
+
+    // Strip the header for raw inputs, add it for framed inputs
+    const data = header ? buffer.subarray(HEADER_SIZE) : buffer;
+    await this.writeBinaryFile(outputPath, data, options);
   }
 
-  async validate(inputPath) {
+  async validate(inputPath, options = {}) {
     try {
       await fs.access(inputPath, fs.constants.R_OK);
-      return true;
     } catch (error) {
       throw new ValidationError(`Cannot read binary file: ${error.message}`);
     }
+
+    const stats = await fs.stat(inputPath);
+    getFramedHeader(await readInputHeader(inputPath), stats.size, inputPath, options.inputFormat);
+
+    return true;
+  }
+
+  async decode(data, options = {}) {
+    // Header is already stripped; write the payload as-is
+    return data;
   }
 }
 
@@ -442,6 +1194,12 @@ class PassThroughConverter extends BaseConverter {
  * Custom Format Converter
  */
 class CustomFormatConverter extends BaseConverter {
+  constructor() {
+    super();
+    // Output depends on the converter module, which isn't part of the cache key
+    this.cacheable = false;
+  }
+
   async convert(inputPath, outputPath, options = {}) {
     // Load custom converter if specified
     const converterPath = options.converter;
@@ -451,11 +1209,7 @@ class CustomFormatConverter extends BaseConverter {
     }
 
     // Dynamic import of custom converter
-    const customConverter = require(path.resolve(converterPath));
-    
-    if (typeof customConverter.convert !== 'function') {
-      throw new ValidationError('Custom converter must have convert method');
-    }
+    const customConverter = loadConverterModule(path.resolve(converterPath));
 
     // Use custom converter
     const data = await customConverter.convert(inputPath, options);
@@ -474,6 +1228,374 @@ class CustomFormatConverter extends BaseConverter {
     // Custom validation logic
     return true;
   }
+
+  async decode(data, options = {}) {
+    const converterPath = options.converter;
+
+    if (!converterPath) {
+      throw new ValidationError('Custom converter path not specified');
+    }
+
+    const customConverter = loadConverterModule(path.resolve(converterPath));
+
+    if (typeof customConverter.decode !== 'function') {
+      throw new ValidationError('Custom converter must have decode method to decode inputs');
+    }
+
+    return await customConverter.decode(data, options);
+  }
+}
+
+/**
+ * Module Converter
+ * Adapter for converter modules declared in project config. A module exports:
+ *   convert(inputPath, options)  -> Buffer (written as-is) or data (serialized like JSON)
+ *   validate(inputPath, options) -> true, or throw / return false for invalid input (optional)
+ *   decode(data, options)        -> string or Buffer with the source format (optional)
+ * options are the configured options merged with the conversion options (inputFormat, schema, ...)
+ */
+class ModuleConverter extends BaseConverter {
+  constructor(modulePath, moduleOptions = {}) {
+    super();
+    this.modulePath = modulePath;
+    this.moduleOptions = moduleOptions;
+    this.module = loadConverterModule(modulePath);
+  }
+
+  async convert(inputPath, outputPath, options = {}) {
+    const mergedOptions = { ...this.moduleOptions, ...options };
+    const data = await this.module.convert(inputPath, mergedOptions);
+
+    if (Buffer.isBuffer(data)) {
+      await this.writeBinaryFile(outputPath, data, mergedOptions);
+    } else {
+      const jsonConverter = new JsonToBinaryConverter();
+      const serialized = jsonConverter.serialize(data, mergedOptions);
+      await this.writeBinaryFile(outputPath, serialized, mergedOptions);
+    }
+  }
+
+  async validate(inputPath, options = {}) {
+    if (typeof this.module.validate !== 'function') {
+      return true;
+    }
+
+    const valid = await this.module.validate(inputPath, { ...this.moduleOptions, ...options });
+    if (valid === false) {
+      throw new ValidationError(`Invalid input for ${path.basename(this.modulePath)}: ${inputPath}`);
+    }
+    return true;
+  }
+
+  async decode(data, options = {}) {
+    if (typeof this.module.decode !== 'function') {
+      throw new ValidationError(`Converter ${path.basename(this.modulePath)} does not support decoding`);
+    }
+    return await this.module.decode(data, { ...this.moduleOptions, ...options });
+  }
+
+  /**
+   * The sources of the module and the project files it requires, its declared version and
+   * its options are part of the cache key, so edits invalidate cached outputs
+   */
+  getCacheId() {
+    const modulePath = require.resolve(this.modulePath);
+    const hash = crypto.createHash('sha256');
+    for (const file of getModuleFiles(modulePath)) {
+      hash.update(path.relative(path.dirname(modulePath), file)).update(fs.readFileSync(file));
+    }
+    hash.update(JSON.stringify({ version: this.module.version ?? null, options: this.moduleOptions }));
+    return `ModuleConverter:${hash.digest('hex')}`;
+  }
+}
+
+/**
+ * Load a converter module and check that it implements the converter interface
+ */
+function loadConverterModule(modulePath) {
+  let converterModule;
+
+  try {
+    converterModule = require(require.resolve(modulePath));
+  } catch (error) {
+    throw new ValidationError(`Cannot load converter module ${modulePath}: ${error.message}`);
+  }
+
+  if (typeof converterModule.convert !== 'function') {
+    throw new ValidationError(`Converter module ${modulePath} must export a convert(inputPath, options) function`);
+  }
+
+  return converterModule;
+}
+
+/**
+ * A loaded module's file and the files it requires, recursively, leaving out installed
+ * packages (a converter's version export covers those)
+ */
+function getModuleFiles(modulePath) {
+  const files = new Set();
+
+  const visit = (file) => {
+    files.add(file);
+    const loaded = require.cache[file];
+    for (const child of (loaded && loaded.children) || []) {
+      if (!files.has(child.filename) && !child.filename.split(path.sep).includes('node_modules')) {
+        visit(child.filename);
+      }
+    }
+  };
+  visit(modulePath);
+
+  return [...files].sort();
+}
+
+/**
+ * JSON.stringify replacer for values produced by typed CSV columns: BigInt integers
+ * become numbers when safe and strings otherwise, Buffers become 0x hex strings
+ */
+function jsonReplacer(key, value) {
+  const original = this[key];
+
+  if (typeof original === 'bigint') {
+    return original >= BigInt(Number.MIN_SAFE_INTEGER) && original <= BigInt(Number.MAX_SAFE_INTEGER)
+      ? Number(original)
+      : original.toString();
+  }
+  if (Buffer.isBuffer(original)) {
+    return toHex(original);
+  }
+  return value;
+}
+
+/**
+ * Parse hex text: whitespace-separated groups, each with an optional 0x prefix
+ */
+function parseHexText(content, inputPath) {
+  const hex = content
+    .split(/\s+/)
+    .filter(group => group !== '')
+    .map(group => group.replace(/^0x/i, ''))
+    .join('');
+
+  const invalid = hex.search(/[^0-9a-fA-F]/);
+  if (invalid !== -1) {
+    throw new ValidationError(`Invalid hex character ${JSON.stringify(hex[invalid])} in ${inputPath}`);
+  }
+  if (hex.length % 2 !== 0) {
+    throw new ValidationError(`Odd number of hex digits (${hex.length}) in ${inputPath}`);
+  }
+
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Parse base64 text, rejecting characters Buffer.from would silently skip
+ */
+function parseBase64Text(content, inputPath) {
+  const text = content.replace(/\s+/g, '');
+
+  if (!/^[A-Za-z0-9+/\-_]*={0,2}$/.test(text)) {
+    throw new ValidationError(`Invalid base64 data in ${inputPath}`);
+  }
+  if (/[+/]/.test(text) && /[-_]/.test(text)) {
+    throw new ValidationError(`Mixed standard and URL-safe base64 alphabets in ${inputPath}`);
+  }
+  if (text.includes('=') && text.length % 4 !== 0) {
+    throw new ValidationError(`Invalid base64 padding in ${inputPath}`);
+  }
+  if (text.replace(/=+$/, '').length % 4 === 1) {
+    throw new ValidationError(`Truncated base64 data in ${inputPath}`);
+  }
+
+  return Buffer.from(text, /[-_]/.test(text) ? 'base64url' : 'base64');
+}
+
+/**
+ * TOML dates become ISO strings so every serializer can handle them
+ */
+function normalizeToml(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeToml);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      result[key] = normalizeToml(entry);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Typed-format tag followed by a u32 length/count
+ */
+function typedLength(tag, length) {
+  const buffer = Buffer.alloc(5);
+  buffer[0] = tag;
+  buffer.writeUInt32LE(length, 1);
+  return buffer;
+}
+
+/**
+ * Parse ZISK header from the start of a buffer, or null if the buffer is not framed
+ */
+function parseHeader(buffer) {
+  if (buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, 4) !== HEADER_MAGIC) {
+    return null;
+  }
+
+  return {
+    magic: HEADER_MAGIC,
+    version: `${buffer.readUInt16LE(4)}.${buffer.readUInt16LE(6)}`,
+    dataLength: Number(buffer.readBigUInt64LE(8)),
+    headerSize: HEADER_SIZE
+  };
+}
+
+/**
+ * Read ZISK header from a file without loading the whole file
+ */
+async function readInputHeader(inputPath) {
+  const handle = await fs.open(inputPath, 'r');
+
+  try {
+    const buffer = Buffer.alloc(HEADER_SIZE);
+    const { bytesRead } = await fs.read(handle, buffer, 0, HEADER_SIZE, 0);
+    return parseHeader(buffer.subarray(0, bytesRead));
+  } finally {
+    await fs.close(handle);
+  }
+}
+
+/**
+ * The header of a framed input, or null for a raw one. Raw data may start with the magic
+ * too, so a header whose length doesn't match the file is only an error when the framed
+ * input format is configured; otherwise the file is raw
+ */
+function getFramedHeader(header, totalSize, inputPath, inputFormat = 'raw') {
+  if (!header) {
+    return null;
+  }
+
+  if (inputFormat === 'framed') {
+    validateHeader(header, totalSize, inputPath);
+    return header;
+  }
+
+  return header.headerSize + header.dataLength === totalSize ? header : null;
+}
+
+/**
+ * Check that the header's data length matches the file
+ */
+function validateHeader(header, totalSize, inputPath) {
+  const expectedSize = header.headerSize + header.dataLength;
+
+  if (expectedSize !== totalSize) {
+    throw new ValidationError(
+      `Corrupt ZISK header in ${inputPath}: header declares ${header.dataLength} data bytes, file has ${totalSize - header.headerSize}`
+    );
+  }
+}
+
+/**
+ * Read one value of the serializeTyped format
+ */
+function readTyped(reader) {
+  const { buffer } = reader;
+
+  const take = (size) => {
+    if (reader.offset + size > buffer.length) {
+      throw new ValidationError(`Typed data truncated at offset ${reader.offset}`);
+    }
+    const start = reader.offset;
+    reader.offset += size;
+    return start;
+  };
+
+  const tag = buffer[take(1)];
+
+  switch (tag) {
+    case 0x00:
+      return null;
+    case 0x01: {
+      const value = buffer.readBigInt64LE(take(8));
+      return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+        ? Number(value)
+        : value.toString();
+    }
+    case 0x02:
+      return buffer.readDoubleLE(take(8));
+    case 0x03: {
+      const length = buffer.readUInt32LE(take(4));
+      const start = take(length);
+      return buffer.toString('utf8', start, start + length);
+    }
+    case 0x04: {
+      const count = buffer.readUInt32LE(take(4));
+      const items = [];
+      for (let i = 0; i < count; i++) {
+        items.push(readTyped(reader));
+      }
+      return items;
+    }
+    case 0x05: {
+      const count = buffer.readUInt32LE(take(4));
+      const object = {};
+      for (let i = 0; i < count; i++) {
+        const keyLength = buffer.readUInt32LE(take(4));
+        const keyStart = take(keyLength);
+        const key = buffer.toString('utf8', keyStart, keyStart + keyLength);
+        object[key] = readTyped(reader);
+      }
+      return object;
+    }
+    default:
+      throw new ValidationError(`Unknown typed tag 0x${tag.toString(16).padStart(2, '0')} at offset ${reader.offset - 1}`);
+  }
+}
+
+/**
+ * Guess how binary data was produced: JSON text, the typed format, or raw bytes
+ */
+function detectBinaryFormat(data) {
+  if (data.length === 0) {
+    return 'empty';
+  }
+
+  const text = data.toString('utf8');
+  if (/^[\[{"]/.test(text)) {
+    try {
+      JSON.parse(text);
+      return 'json';
+    } catch (error) {
+      // Not JSON text
+    }
+  }
+
+  if (data[0] >= 0x01 && data[0] <= 0x05) {
+    try {
+      const reader = { buffer: data, offset: 0 };
+      readTyped(reader);
+      if (reader.offset === data.length) {
+        return 'typed';
+      }
+    } catch (error) {
+      // Not typed data
+    }
+  }
+
+  return 'raw';
 }
 
-module.exports = { InputConverter };
+module.exports = {
+  InputConverter,
+  INPUT_FORMATS,
+  HEADER_SIZE,
+  parseHeader,
+  readInputHeader
+};
@@ -0,0 +1,353 @@
+/**
+ * CSV Parsing
+ * Incremental RFC 4180 parser (quoted fields, escaped quotes, CRLF/LF line endings)
+ * with optional typed columns for binary conversion
+ */
+
+const fs = require('fs-extra');
+const { ValidationError } = require('./errors');
+const { toBigInt, toBoolean, toBytes } = require('./schema');
+
+const COLUMN_TYPES = ['string', 'int', 'uint64', 'float', 'hex', 'bool'];
+const UINT64_MAX = (1n << 64n) - 1n;
+
+/**
+ * Incremental CSV tokenizer: push text chunks, get completed records (arrays of strings)
+ */
+class CsvParser {
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || ',';
+    this.quote = '"';
+    this.line = 1;
+    this.field = '';
+    this.record = [];
+    this.records = [];
+    this.inQuotes = false;
+    this.afterQuote = false;
+    this.fieldQuoted = false;
+    this.sawCR = false;
+    this.started = false;
+
+    if (this.delimiter.length !== 1 || ['"', '\r', '\n'].includes(this.delimiter)) {
+      throw new ValidationError(`Invalid CSV delimiter ${JSON.stringify(this.delimiter)}: expected a single character`);
+    }
+  }
+
+  /**
+   * Parse a chunk of text; returns the records completed by it
+   */
+  push(text) {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      // Skip a UTF-8 byte order mark at the start of the file
+      if (!this.started) {
+        this.started = true;
+        if (ch === '\uFEFF') {
+          continue;
+        }
+      }
+
+      if (ch === '\n') {
+        this.line++;
+      }
+
+      if (this.inQuotes) {
+        if (ch === this.quote) {
+          this.inQuotes = false;
+          this.afterQuote = true;
+        } else {
+          this.field += ch;
+        }
+        continue;
+      }
+
+      if (this.afterQuote) {
+        this.afterQuote = false;
+        // "" inside a quoted field is an escaped quote
+        if (ch === this.quote) {
+          this.field += ch;
+          this.inQuotes = true;
+          continue;
+        }
+      }
+
+      if (this.sawCR) {
+        this.sawCR = false;
+        if (ch === '\n') {
+          continue;
+        }
+      }
+
+      if (ch === this.delimiter) {
+        this.endField();
+      } else if (ch === '\r' || ch === '\n') {
+        this.sawCR = ch === '\r';
+        this.endRecord();
+      } else if (this.fieldQuoted) {
+        throw new ValidationError(`Unexpected ${JSON.stringify(ch)} after closing quote on CSV line ${this.line}`);
+      } else if (ch === this.quote) {
+        if (this.field !== '') {
+          throw new ValidationError(`Unexpected quote inside unquoted field on CSV line ${this.line}`);
+        }
+        this.inQuotes = true;
+        this.fieldQuoted = true;
+      } else {
+        this.field += ch;
+      }
+    }
+
+    return this.takeRecords();
+  }
+
+  /**
+   * Finish parsing; returns the last record if the input didn't end with a newline
+   */
+  end() {
+    if (this.inQuotes) {
+      throw new ValidationError(`Unterminated quoted field on CSV line ${this.line}`);
+    }
+    if (this.field !== '' || this.fieldQuoted || this.record.length > 0) {
+      this.endRecord();
+    }
+    return this.takeRecords();
+  }
+
+  endField() {
+    this.record.push(this.field);
+    this.field = '';
+    this.fieldQuoted = false;
+  }
+
+  endRecord() {
+    // Blank lines are skipped; a quoted empty field ("") is a record
+    const blank = this.record.length === 0 && this.field === '' && !this.fieldQuoted;
+    this.endField();
+
+    if (!blank) {
+      this.records.push(this.record);
+    }
+    this.record = [];
+  }
+
+  takeRecords() {
+    const records = this.records;
+    this.records = [];
+    return records;
+  }
+}
+
+/**
+ * Maps CSV records to rows: objects keyed by header (or column spec) names with typed values.
+ * Without a header or column spec, rows are arrays of strings.
+ */
+class CsvRowMapper {
+  constructor(options = {}) {
+    this.header = options.header !== false;
+    this.columns = parseColumns(options.columns);
+    this.names = this.header ? null : (this.columns.length > 0 ? this.columns.map(column => column.name) : null);
+    this.types = new Map(this.columns.map(column => [column.name, column.type]));
+    this.rowNumber = 0;
+  }
+
+  /**
+   * Map one record to a row, or null for the header record
+   */
+  map(record) {
+    if (this.header && this.names === null) {
+      this.names = record.map(name => name.trim());
+
+      const missing = this.columns.filter(column => !this.names.includes(column.name));
+      if (missing.length > 0) {
+        throw new ValidationError(`CSV column(s) not found in header: ${missing.map(column => column.name).join(', ')}`);
+      }
+      return null;
+    }
+
+    this.rowNumber++;
+
+    if (this.names === null) {
+      return record;
+    }
+
+    if (record.length !== this.names.length) {
+      throw new ValidationError(`CSV row ${this.rowNumber} has ${record.length} field(s), expected ${this.names.length}`);
+    }
+
+    const row = {};
+    this.names.forEach((name, index) => {
+      row[name] = convertValue(record[index], this.types.get(name) || 'string', `row ${this.rowNumber} column "${name}"`);
+    });
+    return row;
+  }
+}
+
+/**
+ * Parse a column type spec: "id:uint64,flag:bool,data:hex", { id: 'uint64' } or [{ name, type }]
+ */
+function parseColumns(spec) {
+  if (!spec) {
+    return [];
+  }
+
+  let columns;
+  if (typeof spec === 'string') {
+    columns = spec.split(',').filter(part => part.trim()).map((part) => {
+      const [name, type = 'string'] = part.split(':').map(piece => piece.trim());
+      return { name, type };
+    });
+  } else if (Array.isArray(spec)) {
+    columns = spec.map(column => (typeof column === 'string' ? { name: column, type: 'string' } : column));
+  } else {
+    columns = Object.entries(spec).map(([name, type]) => ({ name, type }));
+  }
+
+  for (const column of columns) {
+    if (!column.name) {
+      throw new ValidationError('CSV column spec has a column without a name');
+    }
+    if (!COLUMN_TYPES.includes(column.type)) {
+      throw new ValidationError(`Unknown CSV column type "${column.type}" for "${column.name}": expected one of ${COLUMN_TYPES.join(', ')}`);
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Convert a CSV field to its column type; empty typed fields become null
+ */
+function convertValue(value, type, location) {
+  if (type === 'string') {
+    return value;
+  }
+
+  const trimmed = value.trim();
+  if (trimmed === '') {
+    return null;
+  }
+
+  switch (type) {
+    case 'int':
+      return toSafeNumber(toBigInt(trimmed, location));
+    case 'uint64': {
+      const num = toBigInt(trimmed, location);
+      if (num < 0n || num > UINT64_MAX) {
+        throw new ValidationError(`Value ${trimmed} at ${location} is out of range for uint64`);
+      }
+      return toSafeNumber(num);
+    }
+    case 'float': {
+      const num = Number(trimmed);
+      if (Number.isNaN(num)) {
+        throw new ValidationError(`Expected number at ${location}, got ${JSON.stringify(value)}`);
+      }
+      return num;
+    }
+    case 'hex':
+      return toBytes(trimmed, location);
+    case 'bool': {
+      const lower = trimmed.toLowerCase();
+      return toBoolean(lower === '1' || lower === '0' ? Number(lower) : lower, location);
+    }
+    default:
+      throw new ValidationError(`Unknown CSV column type "${type}" at ${location}`);
+  }
+}
+
+/**
+ * Integers within JavaScript precision become numbers, larger ones stay BigInt
+ */
+function toSafeNumber(value) {
+  return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+    ? Number(value)
+    : value;
+}
+
+/**
+ * Parse CSV text into rows
+ */
+function parseCSV(content, options = {}) {
+  const parser = new CsvParser(options);
+  const mapper = new CsvRowMapper(options);
+  const rows = [];
+
+  for (const record of [...parser.push(content), ...parser.end()]) {
+    const row = mapper.map(record);
+    if (row !== null) {
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Yield the rows of a CSV file without loading it into memory
+ */
+async function* readCSV(inputPath, options = {}) {
+  const parser = new CsvParser(options);
+  const mapper = new CsvRowMapper(options);
+
+  for await (const chunk of fs.createReadStream(inputPath, { encoding: 'utf8' })) {
+    for (const record of parser.push(chunk)) {
+      const row = mapper.map(record);
+      if (row !== null) {
+        yield row;
+      }
+    }
+  }
+
+  for (const record of parser.end()) {
+    const row = mapper.map(record);
+    if (row !== null) {
+      yield row;
+    }
+  }
+}
+
+/**
+ * Format rows as CSV text; object rows get a header from the first row's keys
+ */
+function formatCSV(rows, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const header = options.header !== false;
+  const lines = [];
+
+  const formatField = (value) => {
+    let text;
+    if (value === null || value === undefined) {
+      text = '';
+    } else if (typeof value === 'object') {
+      text = JSON.stringify(value);
+    } else {
+      text = String(value);
+    }
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const names = rows.length > 0 && !Array.isArray(rows[0]) && typeof rows[0] === 'object'
+    ? Object.keys(rows[0])
+    : null;
+
+  if (names && header) {
+    lines.push(names.map(formatField).join(delimiter));
+  }
+
+  for (const row of rows) {
+    const values = names ? names.map(name => row[name]) : (Array.isArray(row) ? row : [row]);
+    lines.push(values.map(formatField).join(delimiter));
+  }
+
+  return lines.length > 0 ? `${lines.join('\r\n')}\r\n` : '';
+}
+
+module.exports = {
+  CsvParser,
+  CsvRowMapper,
+  COLUMN_TYPES,
+  parseColumns,
+  parseCSV,
+  readCSV,
+  formatCSV
+};
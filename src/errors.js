@@ -123,6 +123,16 @@ class ErrorContextCollector {
       process: this.collectProcessContext()
     };
 
+    // Last lines of output of the failed command, and the run log with all of it
+    const result = error.context?.result;
+    if (result && result.tail) {
+      context.output = {
+        tail: result.tail,
+        truncated: result.truncated || false,
+        logFile: result.logFile ? this.sanitizePath(result.logFile) : null
+      };
+    }
+
     return context;
   }
 
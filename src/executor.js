@@ -11,6 +11,9 @@ const os = require('os');
 const pLimit = require('p-limit');
 const { Logger } = require('./logger');
 const { ErrorHandler, BuildError, ExecutionError } = require('./errors');
+const { OutputCapture, createRunLog } = require('./capture');
+const { ConfigurationManager } = require('./config');
+const { classifyFailure, getRetryPolicy, getBackoffDelay, shouldRetry, describeRetry } = require('./retry');
 
 const execAsync = promisify(exec);
 
@@ -26,6 +29,10 @@ class CommandExecutor {
     // Add parallelism control
     this.processPool = pLimit(this.getMaxConcurrent());
     
+    // .zisk-env settings per working directory, read once for the retry policies
+    this.configManager = new ConfigurationManager();
+    this.projectSettings = new Map();
+    
     // Safe environment variables
     this.safeEnvVars = new Set([
       'OMP_NUM_THREADS', 'RAYON_NUM_THREADS', 'RUST_LOG', 'CARGO_TARGET_DIR',
@@ -195,6 +202,11 @@ class CommandExecutor {
 
   /**
    * Execute command with full logging and error handling
+   * options.quiet skips console output and failure recovery; options.onOutput(stream, text)
+   * receives the command's output instead of the terminal. Output is also written to a
+   * per-run log file (options.logFile: a path, or false for none). Transient failures are
+   * retried per the operation's retry policy (options.retry overrides it, false disables it);
+   * options.onRetry(retry) is told about each retry
    */
   async executeCommand(command, args = [], options = {}) {
     const startTime = Date.now();
@@ -210,15 +222,17 @@ class CommandExecutor {
 
       // Prepare execution options
       const execOptions = this.prepareExecutionOptions(options);
-      execOptions.startTime = startTime; // Pass start time for duration calculation
+      const policy = await this.resolveRetryPolicy(command, args, options);
 
-      // Use process pool to limit concurrency
-      const result = await this.processPool(() => 
-        this.executeWithStreaming(command, sanitizedArgs, execOptions)
+      // Use process pool to limit concurrency; each attempt takes its own slot
+      const result = await this.executeWithRetry(command, policy, options, () =>
+        this.processPool(() => 
+          this.executeWithStreaming(command, sanitizedArgs, { ...execOptions, startTime: Date.now() })
+        )
       );
 
       // Log command result
-      this.logger.logCommandResult(command, result);
+      this.logger.logCommandResult(command, result, { quiet: options.quiet });
 
       // Log performance
       const duration = Date.now() - startTime;
@@ -229,17 +243,79 @@ class CommandExecutor {
 
       return result;
     } catch (error) {
-      // Handle error with context
-      const errorContext = await this.errorHandler.handleError(error, {
-        name: command,
-        args,
-        startTime
-      }, options);
+      // Handle error with context (callers using quiet mode handle failures themselves)
+      if (!options.quiet) {
+        if (error.context?.result?.logFile) {
+          process.stderr.write(`Full output: ${error.context.result.logFile}\n`);
+        }
+        await this.errorHandler.handleError(error, {
+          name: command,
+          args,
+          startTime
+        }, options);
+      }
 
       throw error;
     }
   }
 
+  /**
+   * Retry policy for a command: options.operation, or the cargo-zisk subcommand, selects it
+   */
+  async resolveRetryPolicy(command, args, options) {
+    const operation = options.operation || (path.basename(command) === 'cargo-zisk' ? args[0] : null);
+    const cwd = path.resolve(options.cwd || process.cwd());
+
+    if (!this.projectSettings.has(cwd)) {
+      this.projectSettings.set(cwd, this.configManager.loadProjectSettings(cwd));
+    }
+    const projectSettings = await this.projectSettings.get(cwd);
+
+    return getRetryPolicy(operation, { ...projectSettings, ...process.env }, options.retry);
+  }
+
+  /**
+   * Run attempts until one succeeds or fails in a way the policy doesn't retry
+   */
+  async executeWithRetry(command, policy, options, runAttempt) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await runAttempt();
+        result.attempts = attempt;
+        return result;
+      } catch (error) {
+        const failure = classifyFailure(error);
+
+        if (!shouldRetry(policy, attempt, failure)) {
+          if (error.context) {
+            error.context.attempts = attempt;
+            error.context.failure = failure;
+          }
+          throw error;
+        }
+
+        const delay = getBackoffDelay(policy, attempt);
+        const retry = {
+          command: path.basename(command),
+          attempt: attempt + 1,
+          maxAttempts: policy.maxAttempts,
+          failure,
+          delay,
+          error: error.message
+        };
+
+        this.logger.warn(`Retrying ${retry.command} after ${failure} failure`, retry);
+        if (options.onRetry) {
+          options.onRetry(retry);
+        } else if (!options.quiet) {
+          process.stderr.write(`\n${describeRetry(retry)}\n`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
   /**
    * Execute cargo-zisk command specifically
    */
@@ -353,15 +429,48 @@ class CommandExecutor {
     return timeouts[operation] || timeouts.default;
   }
 
+  /**
+   * Create the capture that tees a command's output to the terminal (or options.onOutput)
+   * and its run log, keeping at most options.maxBuffer characters per stream in memory
+   */
+  async createOutputCapture(command, args, options) {
+    let logFile = options.logFile || null;
+
+    if (options.logFile !== false && !logFile) {
+      const header = [
+        `# ${command} ${this.redactSensitiveValues(args.join(' '))}`,
+        `# cwd: ${options.cwd || process.cwd()}`,
+        `# started: ${new Date().toISOString()}`,
+        '',
+        ''
+      ].join('\n');
+
+      try {
+        logFile = await createRunLog(options.cwd || process.cwd(), command, args, header);
+      } catch (error) {
+        // The run log is best effort; output is still captured in memory
+        this.logger.warn('Could not create run log', { error: error.message });
+      }
+    }
+
+    return new OutputCapture({
+      maxBuffer: options.maxBuffer,
+      onOutput: options.onOutput,
+      echo: !options.quiet,
+      logFile
+    });
+  }
+
   /**
    * Run command with spawn and improved process lifecycle
    */
   async runCommand(command, args, options) {
+    const capture = await this.createOutputCapture(command, args, options);
+    const startTime = options.startTime || Date.now();
+
     return new Promise((resolve, reject) => {
       const child = spawn(command, args, options);
       
-      let stdout = '';
-      let stderr = '';
       let killed = false;
       let sigtermSent = false;
 
@@ -370,7 +479,13 @@ class CommandExecutor {
         if (!killed) {
           killed = true;
           this.terminateProcess(child, sigtermSent);
-          reject(new Error(`Command timed out after ${options.timeout}ms`));
+          capture.close().then(() => {
+            reject(new ExecutionError(`Command timed out after ${options.timeout}ms`, {
+              command,
+              args,
+              result: { exitCode: null, ...capture.getResult(), duration: Date.now() - startTime }
+            }));
+          });
         }
       }, options.timeout);
 
@@ -382,34 +497,30 @@ class CommandExecutor {
         }
       }, options.timeout + 30000);
 
-      // Collect stdout
-      child.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      // Collect stderr
-      child.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
+      // Tee stdout and stderr as they arrive
+      child.stdout.on('data', (data) => capture.write('stdout', data));
+      child.stderr.on('data', (data) => capture.write('stderr', data));
 
       // Handle completion
-      child.on('close', (code) => {
+      child.on('close', async (code, signal) => {
         clearTimeout(timeout);
         clearTimeout(forceKillTimeout);
         
         if (killed) return;
 
+        await capture.close();
         const result = {
           exitCode: code,
-          stdout: stdout.trim(),
-          stderr: stderr.trim(),
-          duration: Date.now() - (options.startTime || Date.now())
+          signal,
+          ...capture.getResult(),
+          duration: Date.now() - startTime
         };
 
         if (code === 0) {
           resolve(result);
         } else {
-          reject(new ExecutionError(`Command failed with exit code ${code}`, {
+          const reason = signal ? `was killed by ${signal}` : `failed with exit code ${code}`;
+          reject(new ExecutionError(`Command ${reason}`, {
             command,
             args,
             result
@@ -418,10 +529,12 @@ class CommandExecutor {
       });
 
       // Handle errors
-      child.on('error', (error) => {
+      child.on('error', async (error) => {
         clearTimeout(timeout);
         clearTimeout(forceKillTimeout);
         if (!killed) {
+          killed = true;
+          await capture.close();
           reject(new ExecutionError(`Command execution failed: ${error.message}`, {
             command,
             args,
@@ -503,6 +616,8 @@ class CommandExecutor {
    * Execute command with streaming output
    */
   async executeWithStreaming(command, args = [], options = {}) {
+    const capture = await this.createOutputCapture(command, args, options);
+
     return new Promise((resolve, reject) => {
       const startTime = options.startTime || Date.now();
       const child = spawn(command, args, {
@@ -513,33 +628,23 @@ class CommandExecutor {
 
       // Note: Not calling unref() because we want to capture logs and wait for completion
 
-      let stdout = '';
-      let stderr = '';
-
-      child.stdout.on('data', (data) => {
-        const output = data.toString();
-        stdout += output;
-        process.stdout.write(output);
-      });
-
-      child.stderr.on('data', (data) => {
-        const output = data.toString();
-        stderr += output;
-        process.stderr.write(output);
-      });
+      child.stdout.on('data', (data) => capture.write('stdout', data));
+      child.stderr.on('data', (data) => capture.write('stderr', data));
 
-      child.on('close', (code) => {
+      child.on('close', async (code, signal) => {
+        await capture.close();
         const result = {
           exitCode: code,
-          stdout: stdout.trim(),
-          stderr: stderr.trim(),
+          signal,
+          ...capture.getResult(),
           duration: Date.now() - startTime
         };
 
         if (code === 0) {
           resolve(result);
         } else {
-          reject(new ExecutionError(`Command failed with exit code ${code}`, {
+          const reason = signal ? `was killed by ${signal}` : `failed with exit code ${code}`;
+          reject(new ExecutionError(`Command ${reason}`, {
             command,
             args,
             result
@@ -547,7 +652,8 @@ class CommandExecutor {
         }
       });
 
-      child.on('error', (error) => {
+      child.on('error', async (error) => {
+        await capture.close();
         reject(new ExecutionError(`Command execution failed: ${error.message}`, {
           command,
           args,
@@ -0,0 +1,95 @@
+/**
+ * Build Fingerprints
+ * A hash of everything a cargo-zisk build depends on: the program's Rust sources, Cargo
+ * manifests, Cargo.lock, toolchain and cargo config files, the features and the profile. It is
+ * stored next to the ELF (<elf>.fingerprint.json) after a successful build, so later builds
+ * can be skipped while it matches
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const glob = require('glob');
+const { hashFile } = require('./cache');
+
+const SOURCE_PATTERNS = [
+  '**/*.rs',
+  '**/Cargo.toml',
+  'Cargo.lock',
+  'rust-toolchain',
+  'rust-toolchain.toml',
+  '.cargo/config',
+  '.cargo/config.toml'
+];
+
+const IGNORED_DIRECTORIES = ['target/**', 'node_modules/**', '.zisk-build/**', '.git/**'];
+
+/**
+ * Files the build depends on, relative to projectRoot and sorted
+ */
+function getBuildInputs(projectRoot) {
+  const files = new Set();
+
+  for (const pattern of SOURCE_PATTERNS) {
+    glob.sync(pattern, { cwd: projectRoot, nodir: true, dot: true, ignore: IGNORED_DIRECTORIES })
+      .forEach(file => files.add(file));
+  }
+
+  return [...files].sort();
+}
+
+/**
+ * Fingerprint of the build inputs, features and profile
+ */
+async function computeBuildFingerprint(projectRoot, { profile, features = null }) {
+  const files = getBuildInputs(projectRoot);
+  const hash = crypto.createHash('sha256');
+
+  hash.update(JSON.stringify({ profile, features: features || null }));
+  for (const file of files) {
+    hash.update(`${file}\0${await hashFile(path.join(projectRoot, file))}\0`);
+  }
+
+  return { fingerprint: hash.digest('hex'), files: files.length };
+}
+
+function getFingerprintPath(elfPath) {
+  return `${elfPath}.fingerprint.json`;
+}
+
+/**
+ * Whether the ELF was built from inputs with this fingerprint and hasn't been replaced since
+ */
+async function isBuildCurrent(elfPath, fingerprint) {
+  if (!await fs.pathExists(elfPath)) {
+    return false;
+  }
+
+  const record = await fs.readJson(getFingerprintPath(elfPath)).catch(() => null);
+  if (!record || record.fingerprint !== fingerprint) {
+    return false;
+  }
+
+  return record.elfHash === await hashFile(elfPath);
+}
+
+/**
+ * Store the fingerprint of a successful build next to its ELF
+ */
+async function writeBuildFingerprint(elfPath, { fingerprint, files }, { profile, features = null }) {
+  await fs.writeJson(getFingerprintPath(elfPath), {
+    fingerprint,
+    profile,
+    features: features || null,
+    files,
+    elfHash: await hashFile(elfPath),
+    builtAt: new Date().toISOString()
+  }, { spaces: 2 });
+}
+
+module.exports = {
+  computeBuildFingerprint,
+  isBuildCurrent,
+  writeBuildFingerprint,
+  getBuildInputs
+};
@@ -0,0 +1,100 @@
+/**
+ * Input Generators
+ * Project scripts that produce parameterized test vectors, e.g. a sweep over an
+ * iteration count. A generator module exports a function (sync, async or a generator
+ * function) called with { name, params }, returning an array or (async) iterable of
+ * input values. It may also export the array or iterable directly, or a `generate` function.
+ */
+
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+/**
+ * Load a generator module; returns its generate function
+ */
+function loadGenerator(modulePath) {
+  const resolvedPath = path.resolve(modulePath);
+  let generatorModule;
+
+  try {
+    // Always load the current version of the script
+    delete require.cache[require.resolve(resolvedPath)];
+    generatorModule = require(resolvedPath);
+  } catch (error) {
+    throw new ValidationError(`Cannot load generator module ${modulePath}: ${error.message}`);
+  }
+
+  const generate = typeof generatorModule === 'function'
+    ? generatorModule
+    : generatorModule?.generate || generatorModule?.default;
+
+  if (typeof generate === 'function') {
+    return generate;
+  }
+  if (isIterable(generatorModule)) {
+    return () => generatorModule;
+  }
+
+  throw new ValidationError(`Generator module ${modulePath} must export a function or an iterable of inputs`);
+}
+
+/**
+ * Yield the inputs produced by a generator module
+ */
+async function* runGenerator(modulePath, context = {}) {
+  const generate = loadGenerator(modulePath);
+  const result = await generate(context);
+
+  if (!isIterable(result)) {
+    throw new ValidationError(`Generator ${modulePath} must return an array or (async) iterable of inputs`);
+  }
+
+  for await (const input of result) {
+    if (input === undefined) {
+      throw new ValidationError(`Generator ${modulePath} produced an undefined input`);
+    }
+    yield input;
+  }
+}
+
+/**
+ * Parse key=value generator parameters; values are read as JSON when possible, large integers as BigInt
+ */
+function parseParams(pairs = []) {
+  const params = {};
+
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw new ValidationError(`Invalid generator parameter "${pair}": expected key=value`);
+    }
+
+    const key = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1);
+
+    // Integers beyond JavaScript precision stay exact
+    if (/^-?\d+$/.test(value) && !Number.isSafeInteger(Number(value))) {
+      params[key] = BigInt(value);
+      continue;
+    }
+
+    try {
+      params[key] = JSON.parse(value);
+    } catch {
+      params[key] = value;
+    }
+  }
+
+  return params;
+}
+
+function isIterable(value) {
+  return value !== null && value !== undefined && typeof value !== 'string' &&
+    (typeof value[Symbol.iterator] === 'function' || typeof value[Symbol.asyncIterator] === 'function');
+}
+
+module.exports = {
+  loadGenerator,
+  runGenerator,
+  parseParams
+};
@@ -0,0 +1,117 @@
+/**
+ * Golden Outputs
+ * Stored public outputs per input (tests/golden/<key>.json) that execution results are
+ * compared against, so a guest change that alters results fails CI
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { ValidationError } = require('./errors');
+const { compareOutputs, formatOutputValue, normalizeOutputValue } = require('./outputs');
+
+class GoldenStore {
+  constructor(goldenDir = null) {
+    this.goldenDir = goldenDir || path.join('tests', 'golden');
+  }
+
+  getPath(name) {
+    return path.join(this.goldenDir, `${name}.json`);
+  }
+
+  /**
+   * Golden file name for an input, independent of which other inputs are run: the manifest
+   * case name, else the source path relative to inputs/ (or the project) without extension
+   */
+  getKey(input) {
+    if (input.case) {
+      return input.case.name;
+    }
+
+    const source = path.resolve(input.inputPath);
+    const base = source.startsWith(path.resolve('inputs') + path.sep) ? path.resolve('inputs') : process.cwd();
+    const relative = path.relative(base, source);
+    const key = relative.startsWith('..') || path.isAbsolute(relative) ? path.basename(source) : relative;
+
+    return key.slice(0, key.length - path.extname(key).length).split(path.sep).join('/');
+  }
+
+  /**
+   * Load the golden outputs for an input name; null if none are stored
+   */
+  async load(name) {
+    const goldenPath = this.getPath(name);
+
+    if (!await fs.pathExists(goldenPath)) {
+      return null;
+    }
+
+    let golden;
+    try {
+      golden = await fs.readJson(goldenPath);
+    } catch (error) {
+      throw new ValidationError(`Invalid golden file ${goldenPath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(golden.outputs)) {
+      throw new ValidationError(`Golden file ${goldenPath} has no "outputs" list`);
+    }
+
+    return golden.outputs.map((value, index) => normalizeOutputValue(value, `${goldenPath} slot ${index}`));
+  }
+
+  /**
+   * Store outputs as the golden outputs for an input; returns true if the file changed
+   */
+  async save(name, outputs, metadata = {}) {
+    const goldenPath = this.getPath(name);
+    const previous = await this.load(name).catch(() => null);
+
+    if (previous && compareOutputs(outputs, previous).match) {
+      return false;
+    }
+
+    await fs.ensureDir(path.dirname(goldenPath));
+    await fs.writeJson(goldenPath, {
+      ...metadata,
+      outputs: outputs.map(formatOutputValue)
+    }, { spaces: 2 });
+
+    return true;
+  }
+
+  /**
+   * Compare an input's outputs with its expectation: the manifest case's `expected`
+   * if it has one, otherwise the golden file
+   * Returns { name, status: 'pass' | 'fail' | 'missing', source, differences }
+   */
+  async check(input, outputs) {
+    const key = this.getKey(input);
+    const expected = input.case?.expected || await this.load(key);
+    const source = input.case?.expected ? 'manifest' : this.getPath(key);
+
+    if (!expected) {
+      return { name: input.name, status: 'missing', source, differences: [] };
+    }
+
+    const { match, differences } = compareOutputs(outputs, expected);
+    return { name: input.name, status: match ? 'pass' : 'fail', source, differences };
+  }
+
+  /**
+   * Record an input's outputs as its golden outputs
+   * Returns { name, status: 'updated' | 'unchanged' | 'manifest', source }; expectations
+   * written in the manifest are never overwritten
+   */
+  async update(input, outputs) {
+    if (input.case?.expected) {
+      const { match } = compareOutputs(outputs, input.case.expected);
+      return { name: input.name, status: match ? 'unchanged' : 'manifest', source: 'manifest' };
+    }
+
+    const key = this.getKey(input);
+    const changed = await this.save(key, outputs, { input: input.inputPath });
+    return { name: input.name, status: changed ? 'updated' : 'unchanged', source: this.getPath(key) };
+  }
+}
+
+module.exports = { GoldenStore };
@@ -0,0 +1,451 @@
+/**
+ * ZisK Development Library
+ * Programmatic API for Node scripts: build, execute, prove and verify a ZisK project
+ * without the CLI. Methods return plain result objects and report progress through
+ * events instead of writing to the console
+ *
+ *   const { ZiskProject } = require('@abix/zisk-dev-cli');
+ *   const project = new ZiskProject({ root: './my-program' });
+ *   project.on('phase', event => console.log(event.operation, event.status));
+ *   project.on('progress', event => console.log(event.operation, event.type, event));
+ *   const { elfPath } = await project.build();
+ *   const { outputs } = await project.execute('inputs/small.json');
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+const { ConfigurationManager } = require('./config');
+const { CommandExecutor } = require('./executor');
+const { InputConverter } = require('./converter');
+const { InputManifest } = require('./manifest');
+const { OutputSchema, parsePublicOutputs } = require('./outputs');
+const { ProgressTracker, ProgressParser } = require('./progress');
+const {
+  ZiskError,
+  BuildError,
+  ExecutionError,
+  ProvingError,
+  ValidationError
+} = require('./errors');
+
+/**
+ * @typedef {Object} BuildResult
+ * @property {string} elfPath - Absolute path of the built ELF
+ * @property {string} profile - Build profile (release or debug)
+ * @property {number} duration - Milliseconds
+ * @property {string} output - Captured build output
+ * @property {string|null} logFile - Run log holding the complete output
+ */
+
+/**
+ * @typedef {Object} ConversionResult
+ * @property {string} inputPath - Source input file
+ * @property {string} outputPath - Binary input file passed to the program
+ * @property {number} size - Size of the binary input in bytes
+ * @property {boolean} cached - Whether a previous conversion was reused
+ * @property {string|null} schema - Input schema used for the conversion
+ */
+
+/**
+ * @typedef {Object} ExecutionResult
+ * @property {string} input - Source input file
+ * @property {string} binary - Binary input file passed to the emulator
+ * @property {number[]} outputs - Public output slots (u32)
+ * @property {*} [decodedOutputs] - Outputs decoded with the output schema, if there is one
+ * @property {string} [decodeError] - Why the outputs don't fit the output schema
+ * @property {string} output - Captured emulator output
+ * @property {string|null} logFile - Run log holding the complete output
+ * @property {number} exitCode
+ * @property {number} duration - Milliseconds
+ */
+
+/**
+ * @typedef {Object} ProofResult
+ * @property {string} input - Source input file
+ * @property {string} binary - Binary input file that was proven
+ * @property {string} outputDir - Directory the proof was written to
+ * @property {string[]} proofFiles - Proof files in outputDir
+ * @property {string} output - Captured prover output
+ * @property {string|null} logFile - Run log holding the complete output
+ * @property {number} exitCode
+ * @property {number} duration - Milliseconds
+ */
+
+/**
+ * @typedef {Object} VerificationResult
+ * @property {string} proof - Proof file
+ * @property {boolean} verified
+ * @property {string} [error] - Why verification failed
+ * @property {string} output - Captured verifier output
+ * @property {string|null} logFile - Run log holding the complete output
+ * @property {number|null} exitCode
+ * @property {number} duration - Milliseconds
+ */
+
+/**
+ * @typedef {Object} ProjectStatus
+ * @property {string} root
+ * @property {string} projectName
+ * @property {string} buildProfile
+ * @property {{ built: boolean, elfPath: string, builtAt: Date|null }} build
+ * @property {string[]} inputs - Input files (manifest cases, inputs/ and build/*.bin)
+ * @property {string[]} proofs - Proof files in the output directory
+ */
+
+/**
+ * A ZisK project on disk. Every operation runs as a phase and emits the ProgressTracker
+ * events (src/progress.js): 'phase' when it starts and finishes, 'line' and 'output' for
+ * the output of cargo-zisk and ziskemu, 'progress' for Air instances, steps and memory
+ */
+class ZiskProject extends ProgressTracker {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.root] - Project directory (default: working directory)
+   * @param {string} [options.profile] - Build profile (default: from the project configuration)
+   */
+  constructor(options = {}) {
+    super();
+    this.root = path.resolve(options.root || process.cwd());
+    this.profile = options.profile || null;
+    this.elfPath = null;
+
+    this.configManager = new ConfigurationManager();
+    this.executor = new CommandExecutor();
+    this.converter = new InputConverter();
+  }
+
+  /**
+   * Build the guest program with cargo-zisk build
+   * @param {{ profile?: string, features?: string }} [options]
+   * @returns {Promise<BuildResult>}
+   */
+  async build(options = {}) {
+    const config = await this.loadConfiguration();
+    const profile = options.profile || this.profile || config.buildProfile || 'release';
+
+    const buildArgs = [];
+    if (profile === 'release') {
+      buildArgs.push('--release');
+    }
+
+    const features = options.features || config.buildFeatures;
+    if (features) {
+      buildArgs.push('--features', features);
+    }
+
+    const result = await this.runPhase('build', `Building ${config.projectName} (${profile})`, outputOptions =>
+      this.executor.executeCargoZisk('build', buildArgs, this.getExecOptions(outputOptions, { operation: 'build' }))
+    );
+
+    const elfPath = await this.getElfPath(profile);
+    if (!await fs.pathExists(elfPath)) {
+      throw new BuildError(`Build output not found: ${elfPath}`, { elfPath });
+    }
+
+    this.elfPath = elfPath;
+    return {
+      elfPath,
+      profile,
+      duration: result.duration,
+      output: joinOutput(result),
+      logFile: result.logFile
+    };
+  }
+
+  /**
+   * Convert an input file to the binary format read by the program; binary inputs that
+   * are already in the requested layout are used as they are
+   * @param {string} inputFile - Input file, relative to the project root
+   * @param {Object} [options] - output, schema, inputFormat, format, csv, cache
+   * @returns {Promise<ConversionResult>}
+   */
+  async convertInput(inputFile, options = {}) {
+    if (!this.converter.projectConvertersLoaded) {
+      this.converter.loadProjectConverters(this.root);
+    }
+
+    const inputPath = this.resolve(inputFile);
+    const conversionOptions = {
+      ...options,
+      schema: options.schema ? this.resolve(options.schema) : undefined,
+      inputFormat: options.inputFormat || 'raw'
+    };
+
+    if (!options.output && path.extname(inputPath).toLowerCase() === '.bin' &&
+        await this.converter.matchesInputFormat(inputPath, conversionOptions.inputFormat)) {
+      const stats = await fs.stat(inputPath);
+      return { inputPath, outputPath: inputPath, size: stats.size, cached: false, schema: null };
+    }
+
+    // Hash the source once, for both the output name and the conversion cache
+    const preparedOptions = await this.converter.prepareConversion(inputPath, conversionOptions);
+    const outputPath = options.output
+      ? this.resolve(options.output)
+      : await this.converter.getConvertedOutputPath(inputPath, path.join(this.root, 'build', 'inputs'), preparedOptions);
+
+    const result = await this.runPhase('convert', `Converting ${path.relative(this.root, inputPath)}`, () =>
+      this.converter.convertInput(inputPath, outputPath, preparedOptions),
+    { input: inputPath });
+    return {
+      inputPath,
+      outputPath: result.outputPath,
+      size: result.size,
+      cached: result.cached,
+      schema: result.schema
+    };
+  }
+
+  /**
+   * Execute the program on an input with ziskemu and read its public outputs
+   * @param {string} inputFile - Input file, converted first if needed
+   * @param {Object} [options] - elfPath, maxSteps, metrics, stats, outputSchema, plus conversion options
+   * @returns {Promise<ExecutionResult>}
+   */
+  async execute(inputFile, options = {}) {
+    const elfPath = await this.resolveElfPath(options);
+    const input = await this.convertInput(inputFile, options);
+
+    const ziskemuArgs = ['-e', elfPath, '-i', input.outputPath];
+    if (options.maxSteps) {
+      ziskemuArgs.push('-n', String(options.maxSteps));
+    }
+    if (options.metrics) {
+      ziskemuArgs.push('-m');
+    }
+    if (options.stats) {
+      ziskemuArgs.push('-x');
+    }
+
+    const result = await this.runPhase('execute', `Executing ${path.relative(this.root, input.inputPath)}`, outputOptions =>
+      this.executor.executeZiskemu(ziskemuArgs, this.getExecOptions(outputOptions)),
+    { input: input.inputPath });
+
+    const execution = {
+      input: input.inputPath,
+      binary: input.outputPath,
+      outputs: parsePublicOutputs(result.stdout),
+      output: result.stdout,
+      logFile: result.logFile,
+      exitCode: result.exitCode,
+      duration: result.duration
+    };
+
+    const schemaPath = options.outputSchema
+      ? this.resolve(options.outputSchema)
+      : await OutputSchema.discover(this.root);
+    if (schemaPath) {
+      const outputSchema = await OutputSchema.load(schemaPath);
+      try {
+        execution.decodedOutputs = outputSchema.decode(execution.outputs);
+      } catch (error) {
+        execution.decodeError = error.message;
+      }
+    }
+
+    return execution;
+  }
+
+  /**
+   * Generate a proof for an input with cargo-zisk prove
+   * @param {string} inputFile - Input file, converted first if needed
+   * @param {Object} [options] - elfPath, output (directory, default: proofs/<input name>),
+   *   aggregate, verify, plus conversion options
+   * @returns {Promise<ProofResult>}
+   */
+  async prove(inputFile, options = {}) {
+    const config = await this.loadConfiguration();
+    const elfPath = await this.resolveElfPath(options);
+    const input = await this.convertInput(inputFile, options);
+
+    const name = path.basename(input.inputPath, path.extname(input.inputPath));
+    const outputDir = options.output
+      ? this.resolve(options.output)
+      : path.join(this.resolve(config.outputDirectory || 'proofs'), name);
+    await fs.ensureDir(outputDir);
+
+    const proveArgs = ['-e', elfPath, '-i', input.outputPath, '-o', outputDir];
+    if (config.witnessLibPath) {
+      proveArgs.push('-w', config.witnessLibPath);
+    }
+    if (config.provingKeyPath) {
+      proveArgs.push('-k', config.provingKeyPath);
+    }
+    if (options.aggregate) {
+      proveArgs.push('-a');
+    }
+    if (options.verify) {
+      proveArgs.push('-y');
+    }
+
+    const result = await this.runPhase('prove', `Proving ${path.relative(this.root, input.inputPath)}`, outputOptions =>
+      this.executor.executeCargoZisk('prove', proveArgs, this.getExecOptions(outputOptions, { operation: 'prove' })),
+    { input: input.inputPath });
+
+    return {
+      input: input.inputPath,
+      binary: input.outputPath,
+      outputDir,
+      proofFiles: glob.sync(path.join(outputDir, '**', '*.bin')),
+      output: joinOutput(result),
+      logFile: result.logFile,
+      exitCode: result.exitCode,
+      duration: result.duration
+    };
+  }
+
+  /**
+   * Verify a proof with cargo-zisk verify; a proof that doesn't verify gives
+   * verified: false rather than an error
+   * @param {string} proofFile
+   * @param {{ starkinfo?: string, verifier?: string, verkey?: string }} [options]
+   * @returns {Promise<VerificationResult>}
+   */
+  async verify(proofFile, options = {}) {
+    const proof = this.resolve(proofFile);
+    if (!await fs.pathExists(proof)) {
+      throw new ValidationError(`Proof file not found: ${proofFile}`);
+    }
+
+    const verifyArgs = ['-p', proof];
+    if (options.starkinfo) {
+      verifyArgs.push('-s', this.resolve(options.starkinfo));
+    }
+    if (options.verifier) {
+      verifyArgs.push('-e', this.resolve(options.verifier));
+    }
+    if (options.verkey) {
+      verifyArgs.push('-k', this.resolve(options.verkey));
+    }
+
+    const startTime = Date.now();
+
+    try {
+      const result = await this.runPhase('verify', `Verifying ${path.relative(this.root, proof)}`, outputOptions =>
+        this.executor.executeCargoZisk('verify', verifyArgs, this.getExecOptions(outputOptions))
+      );
+      return {
+        proof,
+        verified: result.exitCode === 0,
+        output: joinOutput(result),
+        logFile: result.logFile,
+        exitCode: result.exitCode,
+        duration: result.duration
+      };
+    } catch (error) {
+      const result = error.context?.result;
+      if (!result) {
+        throw error;
+      }
+
+      return {
+        proof,
+        verified: false,
+        error: error.message,
+        output: joinOutput(result),
+        logFile: result.logFile,
+        exitCode: result.exitCode,
+        duration: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Project name, build state, inputs and proofs
+   * @returns {Promise<ProjectStatus>}
+   */
+  async status() {
+    const config = await this.loadConfiguration();
+    const profile = this.profile || config.buildProfile || 'release';
+    const elfPath = await this.getElfPath(profile);
+    const built = await fs.pathExists(elfPath);
+
+    const manifestPath = await InputManifest.discover(this.root);
+    const manifestInputs = manifestPath
+      ? (await InputManifest.load(manifestPath)).cases.map(testCase => path.resolve(process.cwd(), testCase.input))
+      : [];
+    const inputs = [
+      ...manifestInputs,
+      ...glob.sync(path.join(this.root, 'inputs', '*'), { nodir: true }),
+      ...glob.sync(path.join(this.root, 'build', '*.bin'))
+    ];
+
+    return {
+      root: this.root,
+      projectName: config.projectName,
+      buildProfile: profile,
+      build: {
+        built,
+        elfPath,
+        builtAt: built ? (await fs.stat(elfPath)).mtime : null
+      },
+      inputs: [...new Set(inputs)],
+      proofs: glob.sync(path.join(this.resolve(config.outputDirectory || 'proofs'), '**', '*.bin'))
+    };
+  }
+
+  /**
+   * Configuration (system paths, project details and .env overrides) for the project root
+   */
+  async loadConfiguration() {
+    return await this.configManager.loadConfiguration(this.root);
+  }
+
+  /**
+   * Expected ELF path for a build profile
+   */
+  async getElfPath(profile) {
+    const config = await this.loadConfiguration();
+    const targetDir = profile === 'release' ? 'release' : 'debug';
+    return path.join(this.root, 'target', config.buildTarget, targetDir, config.projectName);
+  }
+
+  /**
+   * ELF to run: options.elfPath, the last build, or the expected build output
+   */
+  async resolveElfPath(options) {
+    const elfPath = options.elfPath
+      ? this.resolve(options.elfPath)
+      : this.elfPath || await this.getElfPath(options.profile || this.profile || (await this.loadConfiguration()).buildProfile);
+
+    if (!await fs.pathExists(elfPath)) {
+      throw new ValidationError(`ELF file not found: ${elfPath}. Build the project first`);
+    }
+
+    return elfPath;
+  }
+
+  resolve(filePath) {
+    return path.resolve(this.root, filePath);
+  }
+
+  /**
+   * Executor options: run in the project root, output to the phase's events, no console output
+   */
+  getExecOptions(outputOptions, extra = {}) {
+    return {
+      ...extra,
+      ...outputOptions,
+      cwd: this.root,
+      quiet: true
+    };
+  }
+}
+
+function joinOutput(result) {
+  return [result.stdout, result.stderr].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  ZiskProject,
+  ZiskError,
+  BuildError,
+  ExecutionError,
+  ProvingError,
+  ValidationError,
+  InputConverter,
+  InputManifest,
+  OutputSchema,
+  ProgressParser,
+  parsePublicOutputs
+};
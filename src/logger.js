@@ -8,6 +8,10 @@ const path = require('path');
 const fs = require('fs-extra');
 const chalk = require('chalk');
 
+// Where human-readable output goes: stdout, unless a command's stdout is reserved (--json)
+let outputStream = null;
+let consoleMethods = null;
+
 class Logger {
   constructor() {
     this.level = 'info';
@@ -26,6 +30,37 @@ class Logger {
     fs.ensureDirSync(this.logDir);
   }
 
+  /**
+   * Stream for human-readable output: console output, command status and streamed tool output
+   */
+  static getOutputStream() {
+    return outputStream || process.stdout;
+  }
+
+  /**
+   * Send human-readable output to stream instead of stdout, including console.log and
+   * console.info; null restores stdout
+   */
+  static setOutputStream(stream) {
+    if (consoleMethods) {
+      Object.assign(console, consoleMethods);
+      consoleMethods = null;
+    }
+
+    outputStream = stream;
+
+    if (stream && stream !== process.stdout) {
+      const redirected = new console.Console(stream, process.stderr);
+      consoleMethods = { log: console.log, info: console.info, table: console.table, dir: console.dir };
+      Object.assign(console, {
+        log: redirected.log,
+        info: redirected.info,
+        table: redirected.table,
+        dir: redirected.dir
+      });
+    }
+  }
+
   /**
    * Set log level
    */
@@ -206,7 +241,7 @@ class Logger {
     
     // Only show command if ZISK_DEBUG is enabled
     if (process.env.ZISK_DEBUG) {
-      process.stdout.write(`\n[RUNNING] ${fullCommand}\n`);
+      Logger.getOutputStream().write(`\n[RUNNING] ${fullCommand}\n`);
     }
     
     this.debug('Executing command', {
@@ -221,17 +256,19 @@ class Logger {
   /**
    * Log command result
    */
-  logCommandResult(command, result) {
+  logCommandResult(command, result, { quiet = false } = {}) {
     const { exitCode, stdout, stderr, duration } = result;
     
-    // Show command result with clean formatting
-    const status = exitCode === 0 ? '[SUCCESS]' : '[FAILED]';
-    process.stdout.write(`\n${status} Completed in ${duration}ms\n`);
-    
-    // Don't show stdout again since it was already streamed during execution
-    // Only show stderr if there are actual errors
-    if (stderr && stderr.trim() && !stderr.includes('Compiling') && !stderr.includes('Finished')) {
-      process.stdout.write(`  Errors: ${stderr}\n`);
+    if (!quiet) {
+      // Show command result with clean formatting
+      const status = exitCode === 0 ? '[SUCCESS]' : '[FAILED]';
+      Logger.getOutputStream().write(`\n${status} Completed in ${duration}ms\n`);
+      
+      // Don't show stdout again since it was already streamed during execution
+      // Only show stderr if there are actual errors
+      if (stderr && stderr.trim() && !stderr.includes('Compiling') && !stderr.includes('Finished')) {
+        Logger.getOutputStream().write(`  Errors: ${stderr}\n`);
+      }
     }
     
     this.debug('Command completed', {
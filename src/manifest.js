@@ -0,0 +1,188 @@
+/**
+ * Input Manifest
+ * Named test cases (zisk-inputs.yaml): source file, conversion options, max steps,
+ * tags and expected public outputs for each case
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ValidationError } = require('./errors');
+
+// File names looked up in the project root when no manifest is given explicitly
+const MANIFEST_FILENAMES = ['zisk-inputs.yaml', 'zisk-inputs.yml', 'zisk-inputs.json'];
+
+// Conversion options a case may set, with their command-line option names
+const CASE_OPTION_KEYS = ['schema', 'format', 'inputFormat', 'converter'];
+const CASE_KEYS = ['name', 'input', 'description', 'tags', 'maxSteps', 'expected', 'skip', 'csv', ...CASE_OPTION_KEYS];
+
+class InputManifest {
+  constructor(definition, source = null) {
+    this.source = source;
+    this.baseDir = source ? path.dirname(source) : process.cwd();
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new ValidationError(`Input manifest${source ? ` ${source}` : ''} must be a mapping with a "cases" key`);
+    }
+
+    const defaults = definition.defaults || {};
+    // cases may be a list of { name, ... } or a mapping of name -> case
+    const cases = Array.isArray(definition.cases)
+      ? definition.cases
+      : Object.entries(definition.cases || {}).map(([name, entry]) => ({ name, ...entry }));
+
+    this.cases = cases.map((entry, index) => this.parseCase({ ...defaults, ...entry }, index));
+
+    const seen = new Set();
+    for (const testCase of this.cases) {
+      if (seen.has(testCase.name)) {
+        throw new ValidationError(`Duplicate case name in input manifest: ${testCase.name}`);
+      }
+      seen.add(testCase.name);
+    }
+  }
+
+  /**
+   * Load a manifest from a YAML or JSON file
+   */
+  static async load(manifestPath) {
+    if (!await fs.pathExists(manifestPath)) {
+      throw new ValidationError(`Input manifest not found: ${manifestPath}`);
+    }
+
+    const content = await fs.readFile(manifestPath, 'utf8');
+    let definition;
+
+    try {
+      definition = path.extname(manifestPath).toLowerCase() === '.json'
+        ? JSON.parse(content)
+        : yaml.load(content);
+    } catch (error) {
+      throw new ValidationError(`Invalid input manifest ${manifestPath}: ${error.message}`);
+    }
+
+    return new InputManifest(definition, manifestPath);
+  }
+
+  /**
+   * Find a manifest file in the given directory
+   */
+  static async discover(directory) {
+    for (const filename of MANIFEST_FILENAMES) {
+      const candidate = path.join(directory, filename);
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a case and normalize it to { name, input, tags, maxSteps, expected, options }
+   */
+  parseCase(entry, index) {
+    const location = entry.name ? `case "${entry.name}"` : `case ${index + 1}`;
+
+    const unknown = Object.keys(entry).filter(key => !CASE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown key(s) in input manifest ${location}: ${unknown.join(', ')}`);
+    }
+
+    if (typeof entry.name !== 'string' || !/^[\w.-]+$/.test(entry.name)) {
+      throw new ValidationError(`Input manifest ${location} needs a name of letters, digits, '.', '-' or '_'`);
+    }
+    if (typeof entry.input !== 'string' || entry.input === '') {
+      throw new ValidationError(`Input manifest ${location} has no input file`);
+    }
+
+    const tags = entry.tags === undefined ? [] : [].concat(entry.tags);
+    if (tags.some(tag => typeof tag !== 'string')) {
+      throw new ValidationError(`Tags of input manifest ${location} must be strings`);
+    }
+
+    if (entry.maxSteps !== undefined && (!Number.isSafeInteger(entry.maxSteps) || entry.maxSteps < 1)) {
+      throw new ValidationError(`maxSteps of input manifest ${location} must be a positive integer`);
+    }
+
+    if (entry.expected !== undefined && !Array.isArray(entry.expected)) {
+      throw new ValidationError(`expected of input manifest ${location} must be a list of public outputs`);
+    }
+
+    // Options use the same names as the command-line flags, so they merge with them;
+    // null unsets a value from defaults
+    const options = {};
+    for (const key of CASE_OPTION_KEYS) {
+      if (entry[key] !== undefined && entry[key] !== null) {
+        options[key] = key === 'schema' || key === 'converter' ? this.resolvePath(entry[key]) : entry[key];
+      }
+    }
+    if (entry.csv) {
+      if (entry.csv.delimiter !== undefined) {
+        options.delimiter = entry.csv.delimiter;
+      }
+      if (entry.csv.header === false) {
+        options.headerless = true;
+      }
+      if (entry.csv.columns !== undefined) {
+        options.columns = entry.csv.columns;
+      }
+    }
+
+    return {
+      name: entry.name,
+      input: this.resolvePath(entry.input),
+      description: entry.description || null,
+      tags,
+      maxSteps: entry.maxSteps || null,
+      expected: entry.expected || null,
+      skip: entry.skip === true,
+      options
+    };
+  }
+
+  /**
+   * Paths in the manifest are relative to it; returned relative to the working directory
+   */
+  resolvePath(filePath) {
+    return path.relative(process.cwd(), path.resolve(this.baseDir, filePath));
+  }
+
+  getCase(name) {
+    return this.cases.find(testCase => testCase.name === name) || null;
+  }
+
+  getTags() {
+    return [...new Set(this.cases.flatMap(testCase => testCase.tags))].sort();
+  }
+
+  /**
+   * Select cases by name or tag (a case matching either is selected); all non-skipped
+   * cases when neither is given. Cases selected by name run even if marked skip
+   */
+  select({ cases: names = [], tags = [] } = {}) {
+    const missing = names.filter(name => !this.getCase(name));
+    if (missing.length > 0) {
+      throw new ValidationError(`Unknown case(s): ${missing.join(', ')}. Available: ${this.cases.map(testCase => testCase.name).join(', ')}`);
+    }
+
+    const unknownTags = tags.filter(tag => !this.getTags().includes(tag));
+    if (unknownTags.length > 0) {
+      throw new ValidationError(`Unknown tag(s): ${unknownTags.join(', ')}. Available: ${this.getTags().join(', ') || 'none'}`);
+    }
+
+    if (names.length === 0 && tags.length === 0) {
+      return this.cases.filter(testCase => !testCase.skip);
+    }
+
+    return this.cases.filter(testCase =>
+      names.includes(testCase.name) ||
+      (!testCase.skip && testCase.tags.some(tag => tags.includes(tag)))
+    );
+  }
+}
+
+module.exports = {
+  InputManifest,
+  MANIFEST_FILENAMES
+};
@@ -0,0 +1,188 @@
+/**
+ * Output Mode
+ * Commands print human-readable text with chalk colors and ora spinners. With the global
+ * --json flag, commands wrapped in jsonAction print a single JSON document on stdout instead,
+ * and the logger's human-readable output (console output, streamed tool output) goes to
+ * stderr while the command runs
+ */
+
+const chalk = require('chalk');
+const ora = require('ora').default;
+const { describeProgress } = require('./progress');
+const { describeRetry } = require('./retry');
+const { Logger } = require('./logger');
+
+let jsonOutput = false;
+
+// Spinners created by commands, most recent last; progress goes to the newest one spinning
+const spinners = [];
+const MAX_TRACKED_SPINNERS = 20;
+
+/**
+ * Switch to JSON output: no colors, no spinners
+ */
+function enableJsonOutput() {
+  jsonOutput = true;
+  chalk.level = 0;
+}
+
+function isJsonOutput() {
+  return jsonOutput;
+}
+
+/**
+ * An ora spinner that stays silent in JSON mode
+ */
+function createSpinner(text) {
+  const spinner = ora({ text, isSilent: jsonOutput });
+  spinners.push(spinner);
+  if (spinners.length > MAX_TRACKED_SPINNERS) {
+    spinners.shift();
+  }
+  return spinner;
+}
+
+function getActiveSpinner() {
+  for (let i = spinners.length - 1; i >= 0; i--) {
+    if (spinners[i].isSpinning) {
+      return spinners[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Print a line above the active spinner without breaking its animation
+ */
+function printAboveSpinner(line, stream = 'stdout') {
+  const spinner = getActiveSpinner();
+  if (spinner) {
+    spinner.clear();
+  }
+  (stream === 'stderr' ? process.stderr : Logger.getOutputStream()).write(`${line}\n`);
+  if (spinner) {
+    spinner.render();
+  }
+}
+
+/**
+ * Render a ProgressTracker's events live: tool output lines are printed above the active
+ * spinner, whose text follows the current phase and its parsed progress
+ */
+function renderProgress(tracker) {
+  let phase = null;
+  const details = new Map();
+
+  const updateText = () => {
+    const spinner = getActiveSpinner();
+    if (spinner && phase) {
+      spinner.text = details.size > 0 ? `${phase} (${[...details.values()].join(', ')})` : phase;
+    }
+  };
+
+  tracker.on('phase', event => {
+    if (event.status === 'started') {
+      phase = event.message;
+      details.clear();
+      updateText();
+    }
+  });
+
+  tracker.on('progress', progress => {
+    // Per-Air lines are too many for a status line; the instance count covers them
+    if (progress.type === 'air') {
+      return;
+    }
+    if (progress.type === 'summary') {
+      details.delete('steps');
+    }
+    details.set(progress.type, describeProgress(progress));
+    updateText();
+  });
+
+  tracker.on('line', ({ stream, line }) => printAboveSpinner(line, stream));
+
+  tracker.on('retry', retry => {
+    printAboveSpinner(chalk.yellow(describeRetry(retry)), 'stderr');
+    details.set('retry', `attempt ${retry.attempt} of ${retry.maxAttempts}`);
+    updateText();
+  });
+}
+
+/**
+ * JSON.stringify replacer for values JSON has no type for: BigInt (u64/u128 inputs)
+ * as decimal strings, Buffers as hex
+ */
+function jsonReplacer(key, value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return Buffer.from(value.data).toString('hex');
+  }
+  return value;
+}
+
+/**
+ * Print a JSON document on stdout
+ */
+function printJson(document) {
+  process.stdout.write(JSON.stringify(document, jsonReplacer, 2) + '\n');
+}
+
+/**
+ * Full name of a commander command without the program name, e.g. "input convert"
+ */
+function getCommandName(command) {
+  const names = [];
+  for (let current = command; current && current.parent; current = current.parent) {
+    names.unshift(current.name());
+  }
+  return names.join(' ');
+}
+
+/**
+ * Wrap a command action: with --json its return value (or the error it throws) is printed
+ * as { command, success, result | error }; otherwise the action runs unchanged
+ */
+function jsonAction(handler) {
+  return async (...args) => {
+    // commander passes the command object as the last argument
+    const commandObject = args[args.length - 1];
+    if (!commandObject.optsWithGlobals().json) {
+      return handler(...args);
+    }
+
+    const command = getCommandName(commandObject);
+    enableJsonOutput();
+    Logger.setOutputStream(process.stderr);
+
+    try {
+      const result = await handler(...args);
+      printJson({ command, success: true, result: result === undefined ? null : result });
+    } catch (error) {
+      printJson({
+        command,
+        success: false,
+        error: {
+          name: error.name,
+          code: error.code || null,
+          message: error.message
+        }
+      });
+      process.exitCode = 1;
+    } finally {
+      Logger.setOutputStream(null);
+    }
+  };
+}
+
+module.exports = {
+  enableJsonOutput,
+  isJsonOutput,
+  createSpinner,
+  printAboveSpinner,
+  renderProgress,
+  printJson,
+  jsonAction
+};
@@ -0,0 +1,194 @@
+/**
+ * Public Outputs
+ * Parses the public output slots a guest writes with set_output(i, val): the emulator
+ * prints each 32-bit slot as one line of 8 hex digits. An output schema decodes the
+ * slots into structured values
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ValidationError } = require('./errors');
+const { InputSchema, SchemaDecoder, ByteReader } = require('./schema');
+const { BincodeDecoder } = require('./bincode');
+
+const OUTPUT_LINE = /^(?:0x)?([0-9a-fA-F]{8})$/;
+const UINT32_MAX = 0xffffffff;
+
+// File names looked up in the project root when no output schema is given explicitly
+const OUTPUT_SCHEMA_FILENAMES = ['output-schema.yaml', 'output-schema.yml', 'output-schema.json'];
+const BYTE_ORDERS = ['little', 'big'];
+
+/**
+ * Describes the values behind the output slots with the input schema type language.
+ * The slots are joined into bytes (each slot in `byteOrder`, default little-endian)
+ * and decoded like an input, e.g. for 8 slots written from a hash with
+ * BigEndian::read_u32:
+ *
+ *   byteOrder: big
+ *   type: bytes[32]
+ */
+class OutputSchema {
+  constructor(definition, source = null) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new ValidationError(`Output schema${source ? ` ${source}` : ''} must be a mapping with a "type" or "fields" key`);
+    }
+
+    const { byteOrder = 'little', ...typeDefinition } = definition;
+    if (!BYTE_ORDERS.includes(byteOrder)) {
+      throw new ValidationError(`Output schema byteOrder must be one of: ${BYTE_ORDERS.join(', ')}`);
+    }
+
+    this.source = source;
+    this.byteOrder = byteOrder;
+    this.schema = new InputSchema(typeDefinition, source);
+  }
+
+  /**
+   * Load an output schema from a YAML or JSON file
+   */
+  static async load(schemaPath) {
+    if (!await fs.pathExists(schemaPath)) {
+      throw new ValidationError(`Output schema file not found: ${schemaPath}`);
+    }
+
+    const content = await fs.readFile(schemaPath, 'utf8');
+    let definition;
+
+    try {
+      definition = path.extname(schemaPath).toLowerCase() === '.json'
+        ? JSON.parse(content)
+        : yaml.load(content);
+    } catch (error) {
+      throw new ValidationError(`Invalid output schema file ${schemaPath}: ${error.message}`);
+    }
+
+    return new OutputSchema(definition, schemaPath);
+  }
+
+  /**
+   * Find an output schema file in the given directory
+   */
+  static async discover(directory) {
+    for (const filename of OUTPUT_SCHEMA_FILENAMES) {
+      const candidate = path.join(directory, filename);
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Decode output slots; slots past the described value must be zero (unused)
+   */
+  decode(outputs) {
+    const buffer = Buffer.alloc(outputs.length * 4);
+    outputs.forEach((value, index) => {
+      if (this.byteOrder === 'big') {
+        buffer.writeUInt32BE(value, index * 4);
+      } else {
+        buffer.writeUInt32LE(value, index * 4);
+      }
+    });
+
+    const decoder = this.schema.encoding === 'bincode'
+      ? new BincodeDecoder(this.schema)
+      : new SchemaDecoder(this.schema);
+    const reader = new ByteReader(buffer);
+    const value = decoder.decodeValue(this.schema.root, reader, '$');
+
+    const rest = reader.take(reader.remaining(), '$');
+    if (rest.some(byte => byte !== 0)) {
+      throw new ValidationError(`Public outputs have ${rest.length} byte(s) beyond the output schema`);
+    }
+
+    return value;
+  }
+}
+
+/**
+ * Extract the public output slots (u32 numbers, in slot order) from emulator stdout.
+ * The emulator prints the slots once the program ends, one 8-digit hex value per line, so
+ * only the last block of such lines counts: hex lines printed earlier by the guest or the
+ * build belong to other output
+ */
+function parsePublicOutputs(stdout) {
+  let outputs = [];
+  let inBlock = false;
+
+  for (const line of (stdout || '').split(/\r?\n/)) {
+    const match = OUTPUT_LINE.exec(line.trim());
+    if (match) {
+      if (!inBlock) {
+        outputs = [];
+        inBlock = true;
+      }
+      outputs.push(parseInt(match[1], 16));
+    } else if (line.trim() !== '') {
+      inBlock = false;
+    }
+  }
+
+  return outputs;
+}
+
+/**
+ * Normalize an expected output slot (number, "0x.." hex or decimal string) to a u32 number
+ */
+function normalizeOutputValue(value, location = 'output') {
+  let num;
+
+  if (typeof value === 'number') {
+    num = value;
+  } else if (typeof value === 'string' && /^0x[0-9a-fA-F]+$/i.test(value.trim())) {
+    num = parseInt(value.trim().slice(2), 16);
+  } else if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    num = Number(value.trim());
+  } else {
+    throw new ValidationError(`Invalid public output value at ${location}: ${JSON.stringify(value)}`);
+  }
+
+  if (!Number.isInteger(num) || num < 0 || num > UINT32_MAX) {
+    throw new ValidationError(`Public output value at ${location} is not a 32-bit unsigned integer: ${JSON.stringify(value)}`);
+  }
+
+  return num;
+}
+
+/**
+ * Format an output slot as 0x-prefixed, zero-padded hex
+ */
+function formatOutputValue(value) {
+  return `0x${value.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Compare actual output slots with expected ones; returns { match, differences }
+ * where each difference is { index, expected, actual } (null for a missing slot)
+ */
+function compareOutputs(actual, expected) {
+  const normalized = expected.map((value, index) => normalizeOutputValue(value, `slot ${index}`));
+  const differences = [];
+
+  for (let index = 0; index < Math.max(actual.length, normalized.length); index++) {
+    const actualValue = index < actual.length ? actual[index] : null;
+    const expectedValue = index < normalized.length ? normalized[index] : null;
+
+    if (actualValue !== expectedValue) {
+      differences.push({ index, expected: expectedValue, actual: actualValue });
+    }
+  }
+
+  return { match: differences.length === 0, differences };
+}
+
+module.exports = {
+  OutputSchema,
+  OUTPUT_SCHEMA_FILENAMES,
+  parsePublicOutputs,
+  normalizeOutputValue,
+  formatOutputValue,
+  compareOutputs
+};
@@ -0,0 +1,178 @@
+/**
+ * Progress Events
+ * Long-running operations (build, execute, ROM setup, prove, verify) run as phases of a
+ * ProgressTracker, which emits:
+ * - 'phase'    { operation, status: 'started' | 'finished' | 'failed', message, input?, duration? }
+ * - 'line'     { operation, stream, line } for each line of tool output
+ * - 'output'   { operation, stream, data } for raw output chunks
+ * - 'progress' { operation, type, ... } for progress parsed from the output (Air instances,
+ *              steps, memory, crates compiled)
+ * - 'retry'    { operation, attempt, maxAttempts, failure, delay, error } before a failed
+ *              attempt is retried
+ */
+
+const EventEmitter = require('events');
+
+const ANSI_ESCAPE = /\u001b\[[0-9;?]*[ -\/]*[@-~]/g;
+
+// Lines of cargo, ziskemu and proofman output that report progress
+const PROGRESS_PATTERNS = [
+  {
+    type: 'airInstances',
+    pattern: /►\s*(\d+) Air instances found:/,
+    parse: match => ({ count: parseInt(match[1], 10) })
+  },
+  {
+    type: 'air',
+    pattern: /·\s*(\d+) x Air \[([^\]]+)\] \(([^)]+)\)/,
+    parse: match => ({ count: parseInt(match[1], 10), air: match[2], size: match[3] })
+  },
+  {
+    type: 'memory',
+    pattern: /Total memory required by proofman:\s*([\d.]+)\s*GB/,
+    parse: match => ({ gigabytes: parseFloat(match[1]) })
+  },
+  {
+    type: 'summary',
+    pattern: /time:\s*([\d.]+)[^,]*,\s*steps:\s*(\d+)/,
+    parse: match => ({ seconds: parseFloat(match[1]), steps: parseInt(match[2], 10) })
+  },
+  {
+    type: 'steps',
+    pattern: /\bsteps:?\s*(\d+)/i,
+    parse: match => ({ steps: parseInt(match[1], 10) })
+  },
+  {
+    type: 'proofSize',
+    pattern: /Original: (\d+) bytes\s+Compressed: (\d+) bytes \(ratio: ([\d.]+)x\)/,
+    parse: match => ({ original: parseInt(match[1], 10), compressed: parseInt(match[2], 10), ratio: parseFloat(match[3]) })
+  },
+  {
+    type: 'compile',
+    pattern: /^\s*Compiling (\S+) v(\S+)/,
+    parse: match => ({ crate: match[1], version: match[2] })
+  }
+];
+
+/**
+ * Turns lines of tool output into progress events; the first matching pattern wins
+ */
+class ProgressParser {
+  parseLine(line) {
+    const text = line.replace(ANSI_ESCAPE, '');
+
+    for (const { type, pattern, parse } of PROGRESS_PATTERNS) {
+      const match = pattern.exec(text);
+      if (match) {
+        return { type, ...parse(match) };
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Splits output chunks of one stream into complete lines
+ */
+class LineSplitter {
+  constructor(onLine) {
+    this.onLine = onLine;
+    this.buffer = '';
+  }
+
+  write(chunk) {
+    const lines = (this.buffer + chunk).split(/\r?\n|\r/);
+    this.buffer = lines.pop();
+    lines.forEach(line => this.onLine(line));
+  }
+
+  flush() {
+    if (this.buffer) {
+      this.onLine(this.buffer);
+      this.buffer = '';
+    }
+  }
+}
+
+class ProgressTracker extends EventEmitter {
+  constructor() {
+    super();
+    this.parser = new ProgressParser();
+  }
+
+  /**
+   * Run a phase of an operation. The task receives executor options whose onOutput feeds
+   * the phase's 'line', 'output' and 'progress' events, and whose onRetry its 'retry' events
+   */
+  async runPhase(operation, message, task, details = {}) {
+    const startTime = Date.now();
+    const splitters = {};
+    const outputOptions = {
+      onOutput: (stream, data) => {
+        this.emit('output', { operation, stream, data });
+        if (!splitters[stream]) {
+          splitters[stream] = new LineSplitter(line => this.handleLine(operation, stream, line));
+        }
+        splitters[stream].write(data);
+      },
+      onRetry: retry => {
+        Object.values(splitters).forEach(splitter => splitter.flush());
+        this.emit('retry', { operation, ...retry });
+      }
+    };
+
+    this.emit('phase', { operation, status: 'started', message, ...details });
+
+    try {
+      const result = await task(outputOptions);
+      Object.values(splitters).forEach(splitter => splitter.flush());
+      this.emit('phase', { operation, status: 'finished', message, ...details, duration: Date.now() - startTime });
+      return result;
+    } catch (error) {
+      Object.values(splitters).forEach(splitter => splitter.flush());
+      this.emit('phase', { operation, status: 'failed', message, ...details, duration: Date.now() - startTime, error: error.message });
+      throw error;
+    }
+  }
+
+  handleLine(operation, stream, line) {
+    this.emit('line', { operation, stream, line });
+
+    const progress = this.parser.parseLine(line);
+    if (progress) {
+      this.emit('progress', { operation, ...progress });
+    }
+  }
+}
+
+/**
+ * Short description of a progress event for a status line, e.g. "11 Air instances"
+ */
+function describeProgress(progress) {
+  switch (progress.type) {
+    case 'airInstances':
+      return `${progress.count} Air instances`;
+    case 'air':
+      return `${progress.count} x ${progress.air}`;
+    case 'memory':
+      return `${progress.gigabytes} GB required`;
+    case 'summary':
+      return `${progress.steps.toLocaleString()} steps in ${progress.seconds.toFixed(2)}s`;
+    case 'steps':
+      return `${progress.steps.toLocaleString()} steps`;
+    case 'proofSize':
+      return `proof ${(progress.compressed / 1024).toFixed(2)} KB`;
+    case 'compile':
+      return `compiling ${progress.crate}`;
+    default:
+      return progress.type;
+  }
+}
+
+module.exports = {
+  ProgressParser,
+  ProgressTracker,
+  LineSplitter,
+  describeProgress
+};
@@ -117,7 +117,7 @@ class ProjectDiscoverer {
    * Check if file is an input file
    */
   isInputFile(filename) {
-    const inputExtensions = ['.bin', '.json', '.yaml', '.yml', '.txt'];
+    const inputExtensions = ['.bin', '.json', '.yaml', '.yml', '.toml', '.txt', '.csv', '.hex', '.b64'];
     const inputPatterns = ['input', 'data', 'test'];
     
     const ext = path.extname(filename).toLowerCase();
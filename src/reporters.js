@@ -0,0 +1,221 @@
+/**
+ * Test Reporters
+ * Write the results of test, run and verify as a machine-readable report (JUnit XML,
+ * TAP or JSON) for CI systems. Each result is one test case:
+ * { suite, name, status: 'pass' | 'fail' | 'skip', duration, exitCode, message, output, input }
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ValidationError } = require('./errors');
+
+// ANSI escapes and control characters other than tab and newline, which XML 1.0 can't hold
+const ANSI_ESCAPE = /\u001b\[[0-9;?]*[ -\/]*[@-~]/g;
+const CONTROL_CHARS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g;
+
+function cleanText(text) {
+  return String(text ?? '').replace(ANSI_ESCAPE, '').replace(CONTROL_CHARS, '');
+}
+
+function escapeXml(text) {
+  return cleanText(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;');
+}
+
+function cdata(text) {
+  return `<![CDATA[${cleanText(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function seconds(duration) {
+  return ((duration || 0) / 1000).toFixed(3);
+}
+
+function summarize(results) {
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    tests: results.length,
+    passed: count('pass'),
+    failed: count('fail'),
+    skipped: count('skip'),
+    duration: results.reduce((total, result) => total + (result.duration || 0), 0)
+  };
+}
+
+/**
+ * JUnit XML: one <testsuite> per suite, captured output in <system-out>
+ */
+class JUnitReporter {
+  format(results, { command }) {
+    const summary = summarize(results);
+    const suites = [...new Set(results.map(result => result.suite))];
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="zisk-dev ${escapeXml(command)}" tests="${summary.tests}" failures="${summary.failed}" skipped="${summary.skipped}" time="${seconds(summary.duration)}">`
+    ];
+
+    for (const suite of suites) {
+      const suiteResults = results.filter(result => result.suite === suite);
+      const suiteSummary = summarize(suiteResults);
+      lines.push(`  <testsuite name="${escapeXml(suite)}" tests="${suiteSummary.tests}" failures="${suiteSummary.failed}" skipped="${suiteSummary.skipped}" time="${seconds(suiteSummary.duration)}" timestamp="${new Date().toISOString()}">`);
+
+      for (const result of suiteResults) {
+        const testcase = `    <testcase classname="${escapeXml(`zisk-dev.${suite}`)}" name="${escapeXml(result.name)}" time="${seconds(result.duration)}"`;
+        const children = [];
+
+        const properties = [['input', result.input], ['exitCode', result.exitCode]]
+          .filter(([, value]) => value !== undefined && value !== null);
+        if (properties.length > 0) {
+          children.push('      <properties>');
+          for (const [name, value] of properties) {
+            children.push(`        <property name="${name}" value="${escapeXml(value)}"/>`);
+          }
+          children.push('      </properties>');
+        }
+
+        if (result.status === 'fail') {
+          // The attribute gets the first line, the element the whole message
+          const message = result.message || 'failed';
+          children.push(`      <failure message="${escapeXml(message.split('\n')[0])}">${cdata(message)}</failure>`);
+        } else if (result.status === 'skip') {
+          children.push(`      <skipped${result.message ? ` message="${escapeXml(result.message)}"` : ''}/>`);
+        }
+
+        if (result.output) {
+          children.push(`      <system-out>${cdata(result.output)}</system-out>`);
+        }
+
+        if (children.length > 0) {
+          lines.push(`${testcase}>`, ...children, '    </testcase>');
+        } else {
+          lines.push(`${testcase}/>`);
+        }
+      }
+
+      lines.push('  </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * TAP version 13, with a YAML diagnostic block per test
+ */
+class TapReporter {
+  format(results) {
+    const lines = ['TAP version 13', `1..${results.length}`];
+
+    results.forEach((result, index) => {
+      const description = `${result.suite}: ${result.name}`.replace(/#/g, '\\#');
+      const directive = result.status === 'skip' ? ` # SKIP${result.message ? ` ${cleanText(result.message)}` : ''}` : '';
+      lines.push(`${result.status === 'fail' ? 'not ok' : 'ok'} ${index + 1} - ${description}${directive}`);
+
+      const diagnostics = {};
+      if (result.duration !== undefined && result.duration !== null) {
+        diagnostics.duration_ms = result.duration;
+      }
+      if (result.exitCode !== undefined && result.exitCode !== null) {
+        diagnostics.exitCode = result.exitCode;
+      }
+      if (result.input) {
+        diagnostics.input = result.input;
+      }
+      if (result.status === 'fail' && result.message) {
+        diagnostics.message = cleanText(result.message);
+      }
+      if (result.output) {
+        diagnostics.output = cleanText(result.output);
+      }
+
+      if (Object.keys(diagnostics).length > 0) {
+        lines.push('  ---');
+        for (const line of yaml.dump(diagnostics, { lineWidth: -1 }).trimEnd().split('\n')) {
+          lines.push(`  ${line}`);
+        }
+        lines.push('  ...');
+      }
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+class JsonReporter {
+  format(results, { command }) {
+    return JSON.stringify({
+      command,
+      timestamp: new Date().toISOString(),
+      summary: summarize(results),
+      results: results.map(result => ({
+        suite: result.suite,
+        name: result.name,
+        status: result.status,
+        duration: result.duration ?? null,
+        exitCode: result.exitCode ?? null,
+        input: result.input ?? null,
+        message: result.message ? cleanText(result.message) : null,
+        output: result.output ? cleanText(result.output) : null
+      }))
+    }, null, 2) + '\n';
+  }
+}
+
+const REPORTERS = {
+  junit: { reporter: JUnitReporter, extension: '.xml' },
+  tap: { reporter: TapReporter, extension: '.tap' },
+  json: { reporter: JsonReporter, extension: '.json' }
+};
+
+/**
+ * Reporter name from --reporter, else from the --report-file extension; null if neither is given
+ */
+function resolveReporter(options) {
+  if (options.reporter) {
+    if (!REPORTERS[options.reporter]) {
+      throw new ValidationError(`Unknown reporter: ${options.reporter}. Supported: ${Object.keys(REPORTERS).join(', ')}`);
+    }
+    return options.reporter;
+  }
+
+  if (options.reportFile) {
+    const extension = path.extname(options.reportFile).toLowerCase();
+    const byExtension = Object.keys(REPORTERS).find(name => REPORTERS[name].extension === extension);
+    return byExtension || 'junit';
+  }
+
+  return null;
+}
+
+/**
+ * Write a report of the results if --reporter or --report-file was given
+ * Defaults to reports/<command><extension>; returns the report path or null
+ */
+async function writeReport(results, command, options) {
+  const name = resolveReporter(options);
+  if (!name) {
+    return null;
+  }
+
+  const { reporter: Reporter, extension } = REPORTERS[name];
+  const reportFile = options.reportFile || path.join('reports', `${command}${extension}`);
+
+  await fs.ensureDir(path.dirname(reportFile));
+  await fs.writeFile(reportFile, new Reporter().format(results, { command }));
+
+  return reportFile;
+}
+
+module.exports = {
+  JUnitReporter,
+  TapReporter,
+  JsonReporter,
+  REPORTERS,
+  resolveReporter,
+  writeReport
+};
@@ -0,0 +1,119 @@
+/**
+ * Retry Policies
+ * Failed tool runs are classified (out of memory, killed by a signal, network, plain
+ * non-zero exit, not started) and retried with exponential backoff when the policy for their
+ * operation (build, prove, verify, rom-setup) lists that class. Policies are configured with
+ * ZISK_RETRY_<OPERATION>_ATTEMPTS, _BACKOFF (milliseconds) and _ON (comma-separated classes),
+ * in the environment or in the project's .zisk-env file
+ */
+
+const FAILURE_CLASSES = ['oom', 'signal', 'network', 'exit', 'spawn'];
+
+const DEFAULT_RETRY_POLICIES = {
+  build: { maxAttempts: 2, backoff: 5000, retryOn: ['network'] },
+  'rom-setup': { maxAttempts: 2, backoff: 10000, retryOn: ['oom', 'signal'] },
+  prove: { maxAttempts: 3, backoff: 30000, retryOn: ['oom', 'signal'] },
+  verify: { maxAttempts: 2, backoff: 2000, retryOn: ['oom', 'signal'] },
+  default: { maxAttempts: 1, backoff: 0, retryOn: [] }
+};
+
+const BACKOFF_FACTOR = 2;
+const MAX_BACKOFF = 5 * 60 * 1000; // 5 minutes
+
+// Exit code of a process killed with SIGKILL, which is how the kernel's OOM killer ends it
+const SIGKILL_EXIT_CODE = 137;
+
+const OOM_PATTERN = /out of memory|memory allocation of \d+ bytes failed|cannot allocate memory|std::bad_alloc|oom-kill/i;
+const NETWORK_PATTERN = /could not resolve host|connection (?:reset|refused|timed out)|network is unreachable|failed to download|spurious network error/i;
+
+/**
+ * Classify why a command failed, from the error raised by the executor
+ */
+function classifyFailure(error) {
+  const result = error.context?.result;
+  const output = result ? (result.tail || [result.stderr]).join('\n') : '';
+
+  if (result && (result.exitCode === SIGKILL_EXIT_CODE || result.signal === 'SIGKILL' || OOM_PATTERN.test(output))) {
+    return 'oom';
+  }
+  if (result && result.signal) {
+    return 'signal';
+  }
+  if (error.code === 'NETWORK_ERROR' || NETWORK_PATTERN.test(output)) {
+    return 'network';
+  }
+
+  return result ? 'exit' : 'spawn';
+}
+
+function getEnvPrefix(operation) {
+  return `ZISK_RETRY_${operation.toUpperCase().replace(/-/g, '_')}`;
+}
+
+/**
+ * Retry policy for an operation: defaults, then settings from `settings` (environment
+ * variables and .zisk-env entries), then `override` (an explicit policy, or false for no retries)
+ */
+function getRetryPolicy(operation, settings = {}, override = undefined) {
+  const policy = { ...(DEFAULT_RETRY_POLICIES[operation] || DEFAULT_RETRY_POLICIES.default) };
+
+  if (operation) {
+    const prefix = getEnvPrefix(operation);
+
+    const attempts = parseInt(settings[`${prefix}_ATTEMPTS`], 10);
+    if (attempts > 0) {
+      policy.maxAttempts = attempts;
+    }
+
+    const backoff = parseInt(settings[`${prefix}_BACKOFF`], 10);
+    if (backoff >= 0) {
+      policy.backoff = backoff;
+    }
+
+    if (settings[`${prefix}_ON`] !== undefined) {
+      policy.retryOn = parseFailureClasses(settings[`${prefix}_ON`]);
+    }
+  }
+
+  if (override === false) {
+    return { ...policy, maxAttempts: 1 };
+  }
+
+  return { ...policy, ...(override || {}) };
+}
+
+function parseFailureClasses(value) {
+  return String(value)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => FAILURE_CLASSES.includes(name));
+}
+
+/**
+ * Delay before the attempt after `attempt` (1-based): backoff, doubled each time
+ */
+function getBackoffDelay(policy, attempt) {
+  return Math.min(policy.backoff * Math.pow(BACKOFF_FACTOR, attempt - 1), MAX_BACKOFF);
+}
+
+function shouldRetry(policy, attempt, failure) {
+  return attempt < policy.maxAttempts && policy.retryOn.includes(failure);
+}
+
+/**
+ * One-line description of a retry, e.g. "cargo-zisk failed (oom), retrying in 30s (attempt 2 of 3)"
+ */
+function describeRetry(retry) {
+  const delay = retry.delay < 1000 ? `${retry.delay}ms` : `${Math.round(retry.delay / 1000)}s`;
+  return `${retry.command} failed (${retry.failure}), retrying in ${delay} (attempt ${retry.attempt} of ${retry.maxAttempts})`;
+}
+
+module.exports = {
+  FAILURE_CLASSES,
+  DEFAULT_RETRY_POLICIES,
+  classifyFailure,
+  getRetryPolicy,
+  getBackoffDelay,
+  shouldRetry,
+  describeRetry
+};
@@ -0,0 +1,69 @@
+/**
+ * ROM Setup Records
+ * cargo-zisk rom-setup depends only on the ELF and the proving key. Each successful setup is
+ * recorded in .zisk-build/rom-setup.json (per ELF path: content hash and proving key path),
+ * so it can be skipped while neither has changed
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { hashFile } = require('./cache');
+
+class RomSetupStore {
+  constructor(projectRoot = process.cwd()) {
+    this.projectRoot = projectRoot;
+    this.recordPath = path.join(projectRoot, '.zisk-build', 'rom-setup.json');
+  }
+
+  async load() {
+    return fs.readJson(this.recordPath).catch(() => ({}));
+  }
+
+  getKey(elfPath) {
+    return path.relative(this.projectRoot, path.resolve(this.projectRoot, elfPath));
+  }
+
+  /**
+   * Whether the recorded setup for elfPath is current: { current, reason, elfHash, record }.
+   * provingKey is the path passed to rom-setup, null for cargo-zisk's default, or undefined
+   * to accept whichever key the recorded setup used
+   */
+  async getStatus(elfPath, provingKey) {
+    if (!await fs.pathExists(elfPath)) {
+      return { current: false, reason: 'ELF not built', elfHash: null, record: null };
+    }
+
+    const elfHash = await hashFile(elfPath);
+    const record = (await this.load())[this.getKey(elfPath)] || null;
+
+    if (!record) {
+      return { current: false, reason: 'never run for this ELF', elfHash, record };
+    }
+    if (record.elfHash !== elfHash) {
+      return { current: false, reason: 'ELF changed since the last setup', elfHash, record };
+    }
+    if (provingKey !== undefined && (record.provingKey || null) !== (provingKey || null)) {
+      return { current: false, reason: 'proving key changed since the last setup', elfHash, record };
+    }
+
+    return { current: true, reason: null, elfHash, record };
+  }
+
+  /**
+   * Record a successful setup
+   */
+  async record(elfPath, elfHash, provingKey = null, duration = null) {
+    const records = await this.load();
+    records[this.getKey(elfPath)] = {
+      elfHash,
+      provingKey: provingKey || null,
+      setupAt: new Date().toISOString(),
+      duration
+    };
+
+    await fs.ensureDir(path.dirname(this.recordPath));
+    await fs.writeJson(this.recordPath, records, { spaces: 2 });
+  }
+}
+
+module.exports = { RomSetupStore };
@@ -0,0 +1,148 @@
+/**
+ * Run State
+ * Checkpoints of `zisk-dev run` in .zisk-build/runs/<id>/state.json. Each finished step
+ * (ROM setup, and the execution and proof of every input) is recorded with a fingerprint of
+ * what it depended on (input and ELF hashes, options), so `run --resume <id>` can skip the
+ * steps whose fingerprint still matches
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+
+const RUN_ID_PATTERN = /^[\w-]+$/;
+
+// Options that belong to one invocation rather than to the run
+const TRANSIENT_OPTIONS = ['resume', 'reporter', 'reportFile', 'forceBuild'];
+
+function getRunsDir(projectRoot = process.cwd()) {
+  return path.join(projectRoot, '.zisk-build', 'runs');
+}
+
+/**
+ * Hash of the values a step depends on
+ */
+function fingerprint(values) {
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
+
+class RunState {
+  constructor(runDir, state) {
+    this.runDir = runDir;
+    this.statePath = path.join(runDir, 'state.json');
+    this.state = state;
+  }
+
+  /**
+   * Start a new run, recording the options it was started with
+   */
+  static async create(options, projectRoot = process.cwd()) {
+    const now = new Date();
+    const id = `${now.toISOString().replace(/[-:]/g, '').replace(/\..*/, '')}-${crypto.randomBytes(3).toString('hex')}`;
+
+    const persistedOptions = JSON.parse(JSON.stringify(options));
+    TRANSIENT_OPTIONS.forEach(option => delete persistedOptions[option]);
+
+    const run = new RunState(path.join(getRunsDir(projectRoot), id), {
+      id,
+      status: 'running',
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      attempts: 1,
+      options: persistedOptions,
+      elfHash: null,
+      steps: {}
+    });
+    await run.save();
+    return run;
+  }
+
+  /**
+   * Load a run to resume it
+   */
+  static async load(id, projectRoot = process.cwd()) {
+    if (typeof id !== 'string' || !RUN_ID_PATTERN.test(id)) {
+      throw new ValidationError(`Invalid run id '${id}'`);
+    }
+
+    const runDir = path.join(getRunsDir(projectRoot), id);
+    const statePath = path.join(runDir, 'state.json');
+    if (!await fs.pathExists(statePath)) {
+      throw new ValidationError(`Run '${id}' not found in .zisk-build/runs`);
+    }
+
+    const run = new RunState(runDir, await fs.readJson(statePath));
+    run.state.attempts = (run.state.attempts || 1) + 1;
+    run.state.status = 'running';
+    await run.save();
+    return run;
+  }
+
+  get id() {
+    return this.state.id;
+  }
+
+  get options() {
+    return this.state.options;
+  }
+
+  /**
+   * Record the hash of the ELF this attempt runs with
+   */
+  async setElfHash(elfHash) {
+    this.state.elfHash = elfHash;
+    await this.save();
+  }
+
+  /**
+   * The recorded step if it completed with the same fingerprint, otherwise null
+   */
+  getCompleted(key, stepFingerprint) {
+    const step = this.state.steps[key];
+    return step && step.status === 'completed' && step.fingerprint === stepFingerprint ? step : null;
+  }
+
+  async complete(key, stepFingerprint, result = null) {
+    this.state.steps[key] = {
+      status: 'completed',
+      fingerprint: stepFingerprint,
+      completedAt: new Date().toISOString(),
+      result
+    };
+    await this.save();
+  }
+
+  async fail(key, error) {
+    this.state.steps[key] = {
+      status: 'failed',
+      failedAt: new Date().toISOString(),
+      error: error.message
+    };
+    this.state.status = 'failed';
+    await this.save();
+  }
+
+  async finish(status = 'completed') {
+    this.state.status = status;
+    await this.save();
+  }
+
+  /**
+   * Write the state atomically, so a run killed mid-write keeps its previous checkpoint
+   */
+  async save() {
+    this.state.updatedAt = new Date().toISOString();
+    await fs.ensureDir(this.runDir);
+
+    const tempPath = `${this.statePath}.tmp`;
+    await fs.writeJson(tempPath, this.state, { spaces: 2 });
+    await fs.rename(tempPath, this.statePath);
+  }
+}
+
+module.exports = {
+  RunState,
+  fingerprint,
+  getRunsDir
+};
@@ -0,0 +1,751 @@
+/**
+ * Input Schema System
+ * Describes the byte layout a guest program reads with ziskos::read_input()
+ * and encodes JSON/YAML values into exactly that layout
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ValidationError } = require('./errors');
+
+// File names looked up next to an input file when no schema is given explicitly
+const SCHEMA_FILENAMES = ['schema.yaml', 'schema.yml', 'schema.json'];
+
+const INTEGER_TYPES = {
+  u8: { bits: 8, signed: false },
+  u16: { bits: 16, signed: false },
+  u32: { bits: 32, signed: false },
+  u64: { bits: 64, signed: false },
+  u128: { bits: 128, signed: false },
+  i8: { bits: 8, signed: true },
+  i16: { bits: 16, signed: true },
+  i32: { bits: 32, signed: true },
+  i64: { bits: 64, signed: true },
+  i128: { bits: 128, signed: true }
+};
+
+const LENGTH_PREFIXES = ['u32', 'u64'];
+
+// How values are laid out: raw little-endian fields, or bincode/serde
+const SCHEMA_ENCODINGS = ['raw', 'bincode'];
+
+class InputSchema {
+  constructor(definition, source = null) {
+    this.source = source;
+    this.definition = definition;
+    this.encoding = (definition && definition.encoding) || 'raw';
+    this.root = InputSchema.parseType(definition);
+
+    if (!SCHEMA_ENCODINGS.includes(this.encoding)) {
+      throw new ValidationError(`Schema encoding must be one of: ${SCHEMA_ENCODINGS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Load schema from a YAML or JSON file
+   */
+  static async load(schemaPath) {
+    if (!await fs.pathExists(schemaPath)) {
+      throw new ValidationError(`Schema file not found: ${schemaPath}`);
+    }
+
+    const content = await fs.readFile(schemaPath, 'utf8');
+    let definition;
+
+    try {
+      definition = path.extname(schemaPath).toLowerCase() === '.json'
+        ? JSON.parse(content)
+        : yaml.load(content);
+    } catch (error) {
+      throw new ValidationError(`Invalid schema file ${schemaPath}: ${error.message}`);
+    }
+
+    return new InputSchema(definition, schemaPath);
+  }
+
+  /**
+   * Find a schema file in the given directory
+   */
+  static async discover(directory) {
+    for (const filename of SCHEMA_FILENAMES) {
+      const candidate = path.join(directory, filename);
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if a file name is reserved for schema files
+   */
+  static isSchemaFile(filePath) {
+    return SCHEMA_FILENAMES.includes(path.basename(filePath).toLowerCase());
+  }
+
+  /**
+   * Normalize a type description into a type node
+   *
+   * Accepts shorthand strings (`u64`, `bytes[32]`, `u32[8]`, `hex`, `Option<u64>`,
+   * `Vec<u8>`, `[u8; 32]`, `(u32, bool)`) or objects (`{ type: struct, fields: [...] }`,
+   * `{ type: array, items, length }`, `{ type: enum, variants: [...] }`)
+   */
+  static parseType(desc) {
+    if (typeof desc === 'string') {
+      return InputSchema.parseTypeString(desc.trim());
+    }
+
+    if (!desc || typeof desc !== 'object' || Array.isArray(desc)) {
+      throw new ValidationError(`Invalid type description: ${JSON.stringify(desc)}`);
+    }
+
+    // A bare field list is a struct
+    if (!desc.type && Array.isArray(desc.fields)) {
+      return InputSchema.parseStruct(desc.fields);
+    }
+
+    if (desc.type && typeof desc.type === 'object') {
+      return InputSchema.parseType(desc.type);
+    }
+
+    switch (desc.type) {
+      case 'struct':
+        return InputSchema.parseStruct(desc.fields);
+      case 'array':
+        if (desc.items === undefined) {
+          throw new ValidationError('Array type requires "items"');
+        }
+        return {
+          kind: 'array',
+          items: InputSchema.parseType(desc.items),
+          length: InputSchema.parseLength(desc.length),
+          prefix: InputSchema.parsePrefix(desc.prefix)
+        };
+      case 'bytes':
+      case 'hex':
+        return {
+          kind: 'bytes',
+          length: InputSchema.parseLength(desc.length),
+          prefix: InputSchema.parsePrefix(desc.prefix)
+        };
+      case 'string':
+        return {
+          kind: 'string',
+          prefix: InputSchema.parsePrefix(desc.prefix)
+        };
+      case 'vec':
+        if (desc.items === undefined) {
+          throw new ValidationError('Vec type requires "items"');
+        }
+        return InputSchema.vecOf(InputSchema.parseType(desc.items));
+      case 'option':
+        if (desc.some === undefined) {
+          throw new ValidationError('Option type requires "some"');
+        }
+        return { kind: 'option', some: InputSchema.parseType(desc.some) };
+      case 'tuple':
+        if (!Array.isArray(desc.items)) {
+          throw new ValidationError('Tuple type requires an "items" list');
+        }
+        return { kind: 'tuple', items: desc.items.map(item => InputSchema.parseType(item)) };
+      case 'map':
+        if (desc.key === undefined || desc.value === undefined) {
+          throw new ValidationError('Map type requires "key" and "value"');
+        }
+        return {
+          kind: 'map',
+          key: InputSchema.parseType(desc.key),
+          value: InputSchema.parseType(desc.value)
+        };
+      case 'enum':
+        return InputSchema.parseEnum(desc.variants);
+      default:
+        if (typeof desc.type !== 'string') {
+          throw new ValidationError(`Invalid type description: ${JSON.stringify(desc)}`);
+        }
+        return InputSchema.parseTypeString(desc.type.trim());
+    }
+  }
+
+  /**
+   * Parse shorthand type strings
+   */
+  static parseTypeString(typeName) {
+    // Rust-style generics: Option<T>, Vec<T>, HashMap<K, V>, BTreeMap<K, V>
+    const genericMatch = typeName.match(/^(\w+)\s*<(.+)>$/);
+    if (genericMatch) {
+      const [, container, inner] = genericMatch;
+      const params = splitTopLevel(inner);
+
+      switch (container.toLowerCase()) {
+        case 'option':
+          return { kind: 'option', some: InputSchema.parseTypeString(params[0]) };
+        case 'vec':
+          return InputSchema.vecOf(InputSchema.parseTypeString(params[0]));
+        case 'map':
+        case 'hashmap':
+        case 'btreemap':
+          if (params.length !== 2) {
+            throw new ValidationError(`Map type requires key and value types: ${typeName}`);
+          }
+          return {
+            kind: 'map',
+            key: InputSchema.parseTypeString(params[0]),
+            value: InputSchema.parseTypeString(params[1])
+          };
+        default:
+          throw new ValidationError(`Unknown schema type: ${typeName}`);
+      }
+    }
+
+    // Rust-style fixed arrays: [u8; 32]
+    const rustArrayMatch = typeName.match(/^\[(.+);\s*(\d+)\]$/);
+    if (rustArrayMatch) {
+      const itemType = rustArrayMatch[1].trim();
+      const length = InputSchema.parseLength(rustArrayMatch[2]);
+      return itemType === 'u8'
+        ? { kind: 'bytes', length, prefix: null }
+        : { kind: 'array', items: InputSchema.parseTypeString(itemType), length, prefix: null };
+    }
+
+    // Tuples: (u32, bool); () is the unit type
+    if (typeName.startsWith('(') && typeName.endsWith(')')) {
+      const inner = typeName.slice(1, -1).trim();
+      if (inner === '') {
+        return { kind: 'unit' };
+      }
+      return { kind: 'tuple', items: splitTopLevel(inner).map(item => InputSchema.parseTypeString(item)) };
+    }
+
+    // Fixed and variable arrays: u32[8], bytes[32], u8[]
+    const arrayMatch = typeName.match(/^(.+)\[(\d*)\]$/);
+    if (arrayMatch) {
+      const [, itemType, lengthStr] = arrayMatch;
+      const length = lengthStr === '' ? null : InputSchema.parseLength(lengthStr);
+
+      if (itemType === 'bytes' || itemType === 'hex') {
+        return { kind: 'bytes', length, prefix: null };
+      }
+
+      return {
+        kind: 'array',
+        items: InputSchema.parseTypeString(itemType.trim()),
+        length,
+        prefix: null
+      };
+    }
+
+    if (INTEGER_TYPES[typeName]) {
+      return { kind: 'int', ...INTEGER_TYPES[typeName] };
+    }
+
+    switch (typeName) {
+      case 'bool':
+        return { kind: 'bool' };
+      case 'f32':
+        return { kind: 'float', bits: 32 };
+      case 'f64':
+        return { kind: 'float', bits: 64 };
+      case 'bytes':
+      case 'hex':
+        return { kind: 'bytes', length: null, prefix: null };
+      case 'string':
+      case 'String':
+        return { kind: 'string', prefix: null };
+      case 'char':
+        return { kind: 'char' };
+      case 'unit':
+        return { kind: 'unit' };
+      default:
+        throw new ValidationError(`Unknown schema type: ${typeName}`);
+    }
+  }
+
+  /**
+   * Parse struct field list
+   */
+  static parseStruct(fields) {
+    if (!Array.isArray(fields)) {
+      throw new ValidationError('Struct type requires a "fields" list');
+    }
+
+    return {
+      kind: 'struct',
+      fields: fields.map(field => {
+        if (!field || typeof field.name !== 'string') {
+          throw new ValidationError(`Struct field is missing a name: ${JSON.stringify(field)}`);
+        }
+        const { name, ...typeDesc } = field;
+        return { name, type: InputSchema.parseType(typeDesc) };
+      })
+    };
+  }
+
+  /**
+   * Vec<T> with a u64 length prefix; Vec<u8> is a byte sequence (hex string or byte array)
+   */
+  static vecOf(items) {
+    if (items.kind === 'int' && items.bits === 8 && !items.signed) {
+      return { kind: 'bytes', length: null, prefix: 'u64' };
+    }
+    return { kind: 'array', items, length: null, prefix: 'u64' };
+  }
+
+  /**
+   * Parse enum variants; a variant is unit, newtype (`type`) or struct (`fields`)
+   */
+  static parseEnum(variants) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+      throw new ValidationError('Enum type requires a "variants" list');
+    }
+
+    return {
+      kind: 'enum',
+      variants: variants.map((variant, position) => {
+        const spec = typeof variant === 'string' ? { name: variant } : variant;
+        if (!spec || typeof spec.name !== 'string') {
+          throw new ValidationError(`Enum variant is missing a name: ${JSON.stringify(variant)}`);
+        }
+
+        let type = null;
+        if (spec.fields) {
+          type = InputSchema.parseStruct(spec.fields);
+        } else if (spec.type !== undefined) {
+          type = InputSchema.parseType(spec.type);
+        }
+
+        return {
+          name: spec.name,
+          index: spec.index !== undefined ? InputSchema.parseLength(spec.index) : position,
+          type
+        };
+      })
+    };
+  }
+
+  static parseLength(length) {
+    if (length === undefined || length === null) {
+      return null;
+    }
+
+    const num = Number(length);
+    if (!Number.isInteger(num) || num < 0) {
+      throw new ValidationError(`Invalid length: ${length}`);
+    }
+    return num;
+  }
+
+  static parsePrefix(prefix) {
+    if (prefix === undefined || prefix === null || prefix === false) {
+      return null;
+    }
+
+    if (!LENGTH_PREFIXES.includes(prefix)) {
+      throw new ValidationError(`Length prefix must be one of: ${LENGTH_PREFIXES.join(', ')}`);
+    }
+    return prefix;
+  }
+}
+
+/**
+ * Schema Encoder
+ * Lays out values as raw little-endian bytes, matching what Rust code reads
+ * with `u64::from_le_bytes` and friends
+ */
+class SchemaEncoder {
+  constructor(schema) {
+    this.schema = schema instanceof InputSchema ? schema : new InputSchema(schema);
+  }
+
+  /**
+   * Encode data according to the schema
+   */
+  encode(data) {
+    const chunks = [];
+    this.encodeValue(this.schema.root, data, chunks, '$');
+    return Buffer.concat(chunks);
+  }
+
+  encodeValue(type, value, chunks, location) {
+    switch (type.kind) {
+      case 'int':
+        chunks.push(encodeInteger(value, type.bits, type.signed, location));
+        break;
+      case 'float':
+        chunks.push(encodeFloat(value, type.bits, location));
+        break;
+      case 'bool':
+        chunks.push(Buffer.from([toBoolean(value, location) ? 1 : 0]));
+        break;
+      case 'bytes':
+        this.encodeSized(type, toBytes(value, location), chunks, location);
+        break;
+      case 'string':
+        if (typeof value !== 'string') {
+          throw new ValidationError(`Expected string at ${location}`);
+        }
+        this.encodeSized(type, Buffer.from(value, 'utf8'), chunks, location);
+        break;
+      case 'array':
+        this.encodeArray(type, value, chunks, location);
+        break;
+      case 'struct':
+        this.encodeStruct(type, value, chunks, location);
+        break;
+      case 'tuple':
+        if (!Array.isArray(value) || value.length !== type.items.length) {
+          throw new ValidationError(`Expected ${type.items.length}-item array at ${location}`);
+        }
+        type.items.forEach((itemType, index) => {
+          this.encodeValue(itemType, value[index], chunks, `${location}[${index}]`);
+        });
+        break;
+      case 'unit':
+        break;
+      default:
+        throw new ValidationError(`Type "${type.kind}" is not supported by the raw layout (at ${location}); use "encoding: bincode"`);
+    }
+  }
+
+  encodeSized(type, bytes, chunks, location) {
+    if (type.length !== null && type.length !== undefined && bytes.length !== type.length) {
+      throw new ValidationError(`Expected ${type.length} bytes at ${location}, got ${bytes.length}`);
+    }
+
+    if (type.prefix) {
+      chunks.push(encodeLengthPrefix(bytes.length, type.prefix));
+    }
+    chunks.push(bytes);
+  }
+
+  encodeArray(type, value, chunks, location) {
+    if (!Array.isArray(value)) {
+      throw new ValidationError(`Expected array at ${location}`);
+    }
+
+    if (type.length !== null && type.length !== undefined && value.length !== type.length) {
+      throw new ValidationError(`Expected ${type.length} items at ${location}, got ${value.length}`);
+    }
+
+    if (type.prefix) {
+      chunks.push(encodeLengthPrefix(value.length, type.prefix));
+    }
+
+    value.forEach((item, index) => {
+      this.encodeValue(type.items, item, chunks, `${location}[${index}]`);
+    });
+  }
+
+  encodeStruct(type, value, chunks, location) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new ValidationError(`Expected object at ${location}`);
+    }
+
+    for (const field of type.fields) {
+      if (!(field.name in value)) {
+        throw new ValidationError(`Missing field "${field.name}" at ${location}`);
+      }
+      this.encodeValue(field.type, value[field.name], chunks, `${location}.${field.name}`);
+    }
+  }
+}
+
+/**
+ * Schema Decoder
+ * Reads raw little-endian bytes back into JSON values; the inverse of SchemaEncoder
+ */
+class SchemaDecoder {
+  constructor(schema) {
+    this.schema = schema instanceof InputSchema ? schema : new InputSchema(schema);
+  }
+
+  /**
+   * Decode data according to the schema
+   */
+  decode(buffer) {
+    const reader = new ByteReader(buffer);
+    const value = this.decodeValue(this.schema.root, reader, '$');
+
+    if (reader.remaining() > 0) {
+      throw new ValidationError(`Unexpected ${reader.remaining()} trailing byte(s) after schema value`);
+    }
+
+    return value;
+  }
+
+  decodeValue(type, reader, location) {
+    switch (type.kind) {
+      case 'int':
+        return decodeInteger(reader.take(type.bits / 8, location), type.signed);
+      case 'float':
+        return decodeFloat(reader.take(type.bits / 8, location), type.bits);
+      case 'bool':
+        return reader.take(1, location)[0] !== 0;
+      case 'bytes':
+        return toHex(reader.take(this.decodeLength(type, reader, location), location));
+      case 'string':
+        return reader.take(this.decodeLength(type, reader, location), location).toString('utf8');
+      case 'array':
+        return this.decodeArray(type, reader, location);
+      case 'struct': {
+        const value = {};
+        for (const field of type.fields) {
+          value[field.name] = this.decodeValue(field.type, reader, `${location}.${field.name}`);
+        }
+        return value;
+      }
+      case 'tuple':
+        return type.items.map((itemType, index) => this.decodeValue(itemType, reader, `${location}[${index}]`));
+      case 'unit':
+        return null;
+      default:
+        throw new ValidationError(`Type "${type.kind}" is not supported by the raw layout (at ${location}); use "encoding: bincode"`);
+    }
+  }
+
+  /**
+   * Byte length of a sized value: fixed, prefixed, or the rest of the input
+   */
+  decodeLength(type, reader, location) {
+    if (type.length !== null && type.length !== undefined) {
+      return type.length;
+    }
+    if (type.prefix) {
+      return readLengthPrefix(reader, type.prefix, location);
+    }
+    return reader.remaining();
+  }
+
+  decodeArray(type, reader, location) {
+    const items = [];
+    let count = type.length;
+
+    if ((count === null || count === undefined) && type.prefix) {
+      count = readLengthPrefix(reader, type.prefix, location);
+    }
+
+    // Unprefixed variable arrays extend to the end of the input
+    if (count === null || count === undefined) {
+      while (reader.remaining() > 0) {
+        items.push(this.decodeValue(type.items, reader, `${location}[${items.length}]`));
+      }
+      return items;
+    }
+
+    for (let i = 0; i < count; i++) {
+      items.push(this.decodeValue(type.items, reader, `${location}[${i}]`));
+    }
+    return items;
+  }
+}
+
+/**
+ * Sequential reader over a buffer
+ */
+class ByteReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  take(size, location = '$') {
+    if (this.offset + size > this.buffer.length) {
+      throw new ValidationError(`Input truncated at ${location}: need ${size} byte(s) at offset ${this.offset}, ${this.remaining()} left`);
+    }
+    const slice = this.buffer.subarray(this.offset, this.offset + size);
+    this.offset += size;
+    return slice;
+  }
+
+  remaining() {
+    return this.buffer.length - this.offset;
+  }
+}
+
+/**
+ * Split a type list on commas that are not nested in <>, [] or ()
+ */
+function splitTopLevel(list) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of list) {
+    if ('<[('.includes(char)) depth++;
+    if ('>])'.includes(char)) depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+  return parts;
+}
+
+/**
+ * Convert a JSON value (number, bigint, decimal or 0x-prefixed string) to BigInt
+ */
+function toBigInt(value, location) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) {
+      throw new ValidationError(`Expected integer at ${location}, got ${value}`);
+    }
+    if (!Number.isSafeInteger(value)) {
+      throw new ValidationError(`Integer at ${location} exceeds JavaScript precision; quote it as a string`);
+    }
+    return BigInt(value);
+  }
+
+  if (typeof value === 'string' && /^-?(0x[0-9a-fA-F]+|\d+)$/.test(value.trim())) {
+    const trimmed = value.trim();
+    return trimmed.startsWith('-') ? -BigInt(trimmed.slice(1)) : BigInt(trimmed);
+  }
+
+  throw new ValidationError(`Expected integer at ${location}, got ${JSON.stringify(value)}`);
+}
+
+/**
+ * Encode integer as little-endian two's complement
+ */
+function encodeInteger(value, bits, signed, location) {
+  const num = toBigInt(value, location);
+  const min = signed ? -(1n << BigInt(bits - 1)) : 0n;
+  const max = signed ? (1n << BigInt(bits - 1)) - 1n : (1n << BigInt(bits)) - 1n;
+
+  if (num < min || num > max) {
+    throw new ValidationError(`Value ${num} at ${location} is out of range for ${signed ? 'i' : 'u'}${bits}`);
+  }
+
+  let unsigned = num < 0n ? (1n << BigInt(bits)) + num : num;
+  const buffer = Buffer.alloc(bits / 8);
+  for (let i = 0; i < buffer.length; i++) {
+    buffer[i] = Number(unsigned & 0xffn);
+    unsigned >>= 8n;
+  }
+  return buffer;
+}
+
+function encodeFloat(value, bits, location) {
+  const num = typeof value === 'string' ? Number(value) : value;
+  if (typeof num !== 'number' || Number.isNaN(num)) {
+    throw new ValidationError(`Expected number at ${location}`);
+  }
+
+  const buffer = Buffer.alloc(bits / 8);
+  if (bits === 32) {
+    buffer.writeFloatLE(num, 0);
+  } else {
+    buffer.writeDoubleLE(num, 0);
+  }
+  return buffer;
+}
+
+function encodeLengthPrefix(length, prefix) {
+  return encodeInteger(length, prefix === 'u32' ? 32 : 64, false, 'length prefix');
+}
+
+/**
+ * Decode little-endian two's complement; integers beyond JavaScript precision become strings
+ */
+function decodeInteger(bytes, signed) {
+  let value = 0n;
+  for (let i = bytes.length - 1; i >= 0; i--) {
+    value = (value << 8n) | BigInt(bytes[i]);
+  }
+
+  const bits = BigInt(bytes.length * 8);
+  if (signed && value >= (1n << (bits - 1n))) {
+    value -= 1n << bits;
+  }
+
+  return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+    ? Number(value)
+    : value.toString();
+}
+
+function decodeFloat(bytes, bits) {
+  return bits === 32 ? bytes.readFloatLE(0) : bytes.readDoubleLE(0);
+}
+
+function readLengthPrefix(reader, prefix, location) {
+  const length = decodeInteger(reader.take(prefix === 'u32' ? 4 : 8, location), false);
+  if (typeof length !== 'number') {
+    throw new ValidationError(`Length prefix too large at ${location}`);
+  }
+  return length;
+}
+
+function toHex(bytes) {
+  return `0x${bytes.toString('hex')}`;
+}
+
+function toBoolean(value, location) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (value === 0 || value === 1) {
+    return value === 1;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  throw new ValidationError(`Expected boolean at ${location}`);
+}
+
+/**
+ * Convert a hex string or byte array to a Buffer
+ */
+function toBytes(value, location) {
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return Buffer.from(value.map((byte, index) => {
+      const num = Number(byte);
+      if (!Number.isInteger(num) || num < 0 || num > 255) {
+        throw new ValidationError(`Invalid byte at ${location}[${index}]: ${byte}`);
+      }
+      return num;
+    }));
+  }
+
+  if (typeof value === 'string') {
+    const hex = value.replace(/^0x/i, '').replace(/\s+/g, '');
+    if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+      throw new ValidationError(`Invalid hex string at ${location}`);
+    }
+    return Buffer.from(hex, 'hex');
+  }
+
+  throw new ValidationError(`Expected hex string or byte array at ${location}`);
+}
+
+module.exports = {
+  InputSchema,
+  SchemaEncoder,
+  SchemaDecoder,
+  ByteReader,
+  SCHEMA_FILENAMES,
+  SCHEMA_ENCODINGS,
+  toBigInt,
+  toBytes,
+  toBoolean,
+  encodeInteger,
+  encodeFloat,
+  decodeInteger,
+  decodeFloat,
+  toHex
+};
@@ -0,0 +1,258 @@
+/**
+ * Streaming Conversion
+ * Reads large inputs item by item and writes binary output incrementally, patching
+ * length fields and the ZISK header once the item count is known
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+// Inputs at least this large are streamed instead of loaded into memory
+const STREAMING_THRESHOLD = 16 * 1024 * 1024; // 16MB
+const READ_CHUNK_SIZE = 1024 * 1024;
+const WRITE_BUFFER_SIZE = 1024 * 1024;
+
+/**
+ * Check whether a JSON file's top-level value is an array (first non-whitespace byte is '[')
+ */
+async function isJsonArrayFile(inputPath) {
+  const handle = await fs.open(inputPath, 'r');
+
+  try {
+    const buffer = Buffer.alloc(4096);
+    const { bytesRead } = await fs.read(handle, buffer, 0, buffer.length, 0);
+    const text = buffer.toString('utf8', 0, bytesRead).replace(/^\uFEFF/, '').trimStart();
+    return text.startsWith('[');
+  } finally {
+    await fs.close(handle);
+  }
+}
+
+/**
+ * Yield the elements of a top-level JSON array one at a time
+ */
+async function* readJsonArray(inputPath) {
+  const stream = fs.createReadStream(inputPath, { encoding: 'utf8', highWaterMark: READ_CHUNK_SIZE });
+  let started = false;
+  let ended = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let item = '';
+  let index = 0;
+
+  const parseItem = (text) => {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new ValidationError(`Invalid JSON in array element ${index} of ${inputPath}: ${error.message}`);
+    }
+  };
+
+  for await (const chunk of stream) {
+    let start = 0;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+
+      if (!started) {
+        if (ch === '[') {
+          started = true;
+          start = i + 1;
+        } else if (!/\s|\uFEFF/.test(ch)) {
+          throw new ValidationError(`Expected a JSON array in ${inputPath}`);
+        }
+        continue;
+      }
+
+      if (ended) {
+        if (!/\s/.test(ch)) {
+          throw new ValidationError(`Unexpected data after JSON array in ${inputPath}`);
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (ch === '\\') {
+          escaped = true;
+        } else if (ch === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '[' || ch === '{') {
+        depth++;
+      } else if ((ch === ']' || ch === '}') && depth > 0) {
+        depth--;
+      } else if (depth === 0 && (ch === ',' || ch === ']')) {
+        const text = (item + chunk.slice(start, i)).trim();
+        item = '';
+        start = i + 1;
+
+        if (ch === ']') {
+          ended = true;
+          // "[]" has no elements; anything else before ']' is the last element
+          if (text === '' && index === 0) {
+            continue;
+          }
+        }
+
+        if (text === '') {
+          throw new ValidationError(`Empty array element ${index} in ${inputPath}`);
+        }
+
+        yield parseItem(text);
+        index++;
+      }
+    }
+
+    if (started && !ended) {
+      item += chunk.slice(start);
+    }
+  }
+
+  if (!ended) {
+    throw new ValidationError(`Unterminated JSON array in ${inputPath}`);
+  }
+}
+
+/**
+ * Yield the lines of a text file, split on '\n' like String.prototype.split
+ */
+async function* readLines(inputPath) {
+  const stream = fs.createReadStream(inputPath, { encoding: 'utf8', highWaterMark: READ_CHUNK_SIZE });
+  let rest = '';
+
+  for await (const chunk of stream) {
+    const lines = (rest + chunk).split('\n');
+    rest = lines.pop();
+    for (const line of lines) {
+      yield line;
+    }
+  }
+
+  if (rest) {
+    yield rest;
+  }
+}
+
+/**
+ * Writes an array layout incrementally:
+ *   [header placeholder] prefix item (separator item)* suffix
+ * layout: { prefix, separator, suffix, encodeItem(item, index), count: { offset, bits }, expectedCount }
+ * count.offset is relative to the end of the header and is patched with the item count on close
+ */
+class StreamingArrayWriter {
+  constructor(outputPath, layout, options = {}) {
+    this.outputPath = outputPath;
+    this.layout = layout;
+    this.createHeader = options.createHeader || null;
+    this.headerSize = this.createHeader ? this.createHeader(0).length : 0;
+    this.handle = null;
+    this.position = 0;
+    this.pending = [];
+    this.pendingSize = 0;
+    this.count = 0;
+  }
+
+  async open() {
+    await fs.ensureDir(path.dirname(this.outputPath));
+    this.handle = await fs.open(this.outputPath, 'w');
+
+    if (this.headerSize > 0) {
+      this.push(Buffer.alloc(this.headerSize));
+    }
+    if (this.layout.prefix) {
+      this.push(this.layout.prefix);
+    }
+  }
+
+  async write(item) {
+    if (this.count > 0 && this.layout.separator) {
+      this.push(this.layout.separator);
+    }
+    this.push(this.layout.encodeItem(item, this.count));
+    this.count++;
+
+    if (this.pendingSize >= WRITE_BUFFER_SIZE) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Write the suffix, then patch the item count and header; returns bytes written
+   */
+  async close() {
+    const { expectedCount, count } = this.layout;
+
+    if (expectedCount !== null && expectedCount !== undefined && this.count !== expectedCount) {
+      throw new ValidationError(`Expected ${expectedCount} items, got ${this.count}`);
+    }
+
+    if (this.layout.suffix) {
+      this.push(this.layout.suffix);
+    }
+    await this.flush();
+
+    if (count) {
+      const countBuffer = Buffer.alloc(count.bits / 8);
+      if (count.bits === 32) {
+        countBuffer.writeUInt32LE(this.count, 0);
+      } else {
+        countBuffer.writeBigUInt64LE(BigInt(this.count), 0);
+      }
+      await fs.write(this.handle, countBuffer, 0, countBuffer.length, this.headerSize + count.offset);
+    }
+
+    if (this.headerSize > 0) {
+      const header = this.createHeader(this.position - this.headerSize);
+      await fs.write(this.handle, header, 0, header.length, 0);
+    }
+
+    await fs.close(this.handle);
+    this.handle = null;
+    return this.position;
+  }
+
+  /**
+   * Close and remove a partially written output
+   */
+  async abort() {
+    if (this.handle !== null) {
+      await fs.close(this.handle);
+      this.handle = null;
+    }
+    await fs.remove(this.outputPath);
+  }
+
+  push(buffer) {
+    this.pending.push(buffer);
+    this.pendingSize += buffer.length;
+  }
+
+  async flush() {
+    if (this.pendingSize === 0) {
+      return;
+    }
+
+    const buffer = Buffer.concat(this.pending, this.pendingSize);
+    await fs.write(this.handle, buffer, 0, buffer.length, this.position);
+    this.position += buffer.length;
+    this.pending = [];
+    this.pendingSize = 0;
+  }
+}
+
+module.exports = {
+  STREAMING_THRESHOLD,
+  StreamingArrayWriter,
+  isJsonArrayFile,
+  readJsonArray,
+  readLines
+};
@@ -148,6 +148,8 @@ function getDefaultConfiguration(options) {
         '.txt': 'text-serializer',
         '.bin': 'passthrough'
       },
+      // Extra converters: extension -> { module: './converters/trace.js', options: {} }
+      converters: {},
       defaultInput: 'example.json'
     },
     outputs: {